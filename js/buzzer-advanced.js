@@ -4,10 +4,245 @@
  * - Native Ad Templates
  * - AI-Powered Ad Assembly
  */
+// BEGIN buzzer-core.js - copied by scripts/bundle-core.js, edit js/buzzer-core.js instead
+/**
+ * Buzzer Network Core
+ * Configuration and helpers shared by every Buzzer script. A copy is
+ * bundled into buzzer-video.js and buzzer-advanced.js (npm run bundle),
+ * so each works on its own; the first copy on the page wins.
+ */
+(function() {
+  'use strict';
+
+  if (window.BuzzerAds && window.BuzzerAds.Emitter) {
+    window.BuzzerAds.configureFromScript(document.currentScript);
+    return;
+  }
+
+  const DEFAULT_API_BASE = 'https://buzzer-networkbackend-production.up.railway.app';
+
+  // ============================================================
+  // CONFIGURATION
+  // ============================================================
+
+  /**
+   * Settings shared by every Buzzer script on the page. Set them with
+   * BuzzerAds.init({ apiBase, publisherId, environment, defaults }) or
+   * data-* attributes on any Buzzer script tag:
+   *
+   *   <script src="buzzer-video.js" data-publisher-id="..."
+   *           data-environment="staging" data-api-base="https://..."></script>
+   */
+  const config = {
+    apiBase: DEFAULT_API_BASE, // ad server every ad, beacon and pixel goes to
+    publisherId: null, // sent with every request to the ad server
+    environment: 'production', // anything else is tagged as test traffic
+    defaults: {} // option defaults per ad type, e.g. { video: { muted: false } }
+  };
+
+  function configure(settings = {}) {
+    if (settings.apiBase) config.apiBase = String(settings.apiBase).replace(/\/+$/, '');
+    if (settings.publisherId !== undefined) config.publisherId = settings.publisherId;
+    if (settings.environment) config.environment = settings.environment;
+    Object.entries(settings.defaults || {}).forEach(([adType, defaults]) => {
+      config.defaults[adType] = { ...config.defaults[adType], ...defaults };
+    });
+    return config;
+  }
+
+  /**
+   * data-api-base, data-publisher-id, data-environment and data-defaults
+   * (JSON) on a Buzzer <script> tag
+   */
+  function configureFromScript(script) {
+    if (!script || !script.dataset) return;
+
+    const { apiBase, publisherId, environment, defaults } = script.dataset;
+    let parsedDefaults = {};
+    if (defaults) {
+      try {
+        parsedDefaults = JSON.parse(defaults);
+      } catch (error) {
+        console.error('Invalid data-defaults on Buzzer script tag:', error);
+      }
+    }
+    configure({ apiBase, publisherId, environment, defaults: parsedDefaults });
+  }
+
+  configureFromScript(document.currentScript);
+
+  /**
+   * Ad server URL for a path, tagged with the publisher and (outside
+   * production) the environment
+   */
+  function apiUrl(path, params = {}) {
+    const url = new URL(config.apiBase + path, window.location.href);
+    Object.entries(params).forEach(([name, value]) => {
+      if (value !== null && value !== undefined) url.searchParams.set(name, value);
+    });
+    if (config.publisherId) url.searchParams.set('pub', config.publisherId);
+    if (config.environment !== 'production') url.searchParams.set('env', config.environment);
+    return url.href;
+  }
+
+  /**
+   * Publisher-wide option defaults for an ad type (see config.defaults)
+   */
+  function configDefaults(adType) {
+    return config.defaults[adType] || {};
+  }
+
+  // ============================================================
+  // EVENTS
+  // ============================================================
+
+  // Lifecycle events an ad run by another ad (e.g. the rewarded ad's
+  // player) hands up to it
+  const RELAYED_EVENTS = ['request', 'loaded', 'noFill', 'impression', 'viewable', 'click', 'start', 'complete', 'skip', 'error'];
+
+  /**
+   * on / off / once events for every ad class. Listeners get a single
+   * event object, { type, adType, target, ...data }, and '*' listens to
+   * every type. Events also reach the page-wide BuzzerAds.on() bus.
+   */
+  class BuzzerEmitter {
+    constructor(adType) {
+      this.adType = adType;
+      this.listeners = {};
+      this.relay = null; // emitter that reports our lifecycle events as its own
+    }
+
+    on(type, listener) {
+      (this.listeners[type] = this.listeners[type] || []).push(listener);
+      return this;
+    }
+
+    off(type, listener) {
+      if (!this.listeners[type]) return this;
+      this.listeners[type] = listener
+        ? this.listeners[type].filter(l => l !== listener && l.listener !== listener)
+        : [];
+      return this;
+    }
+
+    once(type, listener) {
+      const wrapper = (event) => {
+        this.off(type, wrapper);
+        listener(event);
+      };
+      wrapper.listener = listener;
+      return this.on(type, wrapper);
+    }
+
+    dispatch(event) {
+      [...(this.listeners[event.type] || []), ...(this.listeners['*'] || [])].forEach(listener => {
+        try {
+          listener(event);
+        } catch (error) {
+          console.error(`Error in ${event.type} listener:`, error);
+        }
+      });
+    }
+
+    emit(type, data = {}) {
+      const event = { type, adType: this.adType, target: this, ...data };
+      this.dispatch(event);
+
+      if (!this.relay) {
+        pageEvents.dispatch(event);
+      } else if (RELAYED_EVENTS.includes(type)) {
+        this.relay.emit(type, data);
+      }
+    }
+  }
+
+  // Page-wide bus behind BuzzerAds.on()
+  const pageEvents = new BuzzerEmitter('page');
+
+  // ============================================================
+  // VIEWABILITY
+  // ============================================================
+
+  /**
+   * Start MRC viewability measurement when buzzer-viewability.js is loaded
+   */
+  function createViewabilityTracker(options) {
+    const Tracker = window.BuzzerAds && window.BuzzerAds.ViewabilityTracker;
+    if (!Tracker) return null;
+
+    const tracker = new Tracker(options);
+    tracker.start();
+    return tracker;
+  }
+
+  /**
+   * Viewability events go to the ad log as their own event types:
+   * measured, viewable, time_in_view and unmeasurable
+   */
+  function logViewability(params, type, data = {}) {
+    const query = {
+      ...params,
+      event: type === 'timeInView' ? 'time_in_view' : type
+    };
+    if (type === 'timeInView') {
+      query.ms = Math.round(data.timeInView);
+      query.max = Math.round(data.maxContinuous);
+      query.viewable = data.viewable ? 1 : 0;
+    }
+    query.cb = Date.now();
+
+    const img = new Image();
+    img.src = apiUrl('/ads/log', query);
+  }
+
+  // ============================================================
+  // VERIFICATION
+  // ============================================================
+
+  /**
+   * Start a verification session when buzzer-verification.js is loaded
+   * and the ad lists any verification scripts
+   */
+  function createVerificationSession(options) {
+    const Session = window.BuzzerAds && window.BuzzerAds.VerificationSession;
+    if (!Session || !options.verifications.length) return null;
+
+    const session = new Session(options);
+    session.start();
+    return session;
+  }
+
+  // ============================================================
+  // EXPOSE TO GLOBAL
+  // ============================================================
+
+  window.BuzzerAds = window.BuzzerAds || {};
+  window.BuzzerAds.config = config;
+  window.BuzzerAds.init = configure;
+  window.BuzzerAds.configureFromScript = configureFromScript;
+  window.BuzzerAds.apiUrl = apiUrl;
+  window.BuzzerAds.configDefaults = configDefaults;
+  window.BuzzerAds.Emitter = BuzzerEmitter;
+  window.BuzzerAds.events = pageEvents;
+  window.BuzzerAds.createViewabilityTracker = createViewabilityTracker;
+  window.BuzzerAds.logViewability = logViewability;
+  window.BuzzerAds.createVerificationSession = createVerificationSession;
+  ['on', 'off', 'once'].forEach(method => {
+    window.BuzzerAds[method] = pageEvents[method].bind(pageEvents);
+  });
+
+})();
+// END buzzer-core.js
+
 (function() {
   'use strict';
 
-  const BUZZER_API = 'https://buzzer-networkbackend-production.up.railway.app';
+  // Shared with the other Buzzer scripts (buzzer-core.js, bundled above)
+  const {
+    apiUrl, configDefaults,
+    Emitter: BuzzerEmitter,
+    createVerificationSession, createViewabilityTracker, logViewability
+  } = window.BuzzerAds;
 
   // ============================================================
   // 1. RESPONSIVE/FLUID AD SIZING
@@ -97,8 +332,10 @@
   /**
    * BuzzerResponsiveAd - Fluid ad that adapts to container
    */
-  class BuzzerResponsiveAd {
+  class BuzzerResponsiveAd extends BuzzerEmitter {
     constructor(container, options = {}) {
+      super('display');
+      options = { ...configDefaults('display'), ...options };
       this.container = typeof container === 'string'
         ? document.querySelector(container)
         : container;
@@ -108,17 +345,80 @@
         minWidth: options.minWidth,
         maxWidth: options.maxWidth,
         onResize: options.onResize || null,
+        onViewable: options.onViewable || null, // MRC viewable impression (needs buzzer-viewability.js)
+        verifications: options.verifications || [], // third-party verification scripts
         ...options
       };
 
       this.currentSize = null;
+      this.zone = null;
       this.iframe = null;
       this.resizeObserver = null;
+      this.verification = null;
+      this.viewability = null;
+      this.clicked = false;
+      this.onWindowBlur = () => this.detectFrameClick();
     }
 
     init() {
       this.render();
       this.setupResizeObserver();
+      this.startVerification();
+      this.startViewability();
+      window.addEventListener('blur', this.onWindowBlur);
+    }
+
+    /**
+     * Measured from the first render; re-renders on resize keep the
+     * same impression. The impression counts once the ad is viewable,
+     * or once the first creative loads where that can't be measured.
+     */
+    startViewability() {
+      const zone = this.zone.zone;
+      this.viewability = createViewabilityTracker({
+        element: this.container,
+        mediaType: 'display',
+        onEvent: (type, data) => {
+          logViewability({ type: 'display', zone }, type, data);
+          if (type !== 'viewable') return;
+          this.trackImpression(zone);
+          this.emit('viewable', { zone });
+          if (this.options.onViewable) this.options.onViewable();
+        }
+      });
+      if (!this.viewability || typeof IntersectionObserver === 'undefined') {
+        this.iframe.addEventListener('load', () => this.trackImpression(zone), { once: true });
+      }
+    }
+
+    startVerification() {
+      this.verification = createVerificationSession({
+        element: this.container,
+        mediaType: 'display',
+        verifications: this.options.verifications
+      });
+
+      // Re-renders swap the iframe, so report the first creative load only
+      this.iframe.addEventListener('load', () => this.verification?.dispatch('loaded'), { once: true });
+    }
+
+    trackImpression(zone) {
+      this.verification?.dispatch('impression', { mediaType: 'display', creativeType: 'htmlDisplay' });
+      this.emit('impression', { zone });
+    }
+
+    /**
+     * Clicks inside the cross-origin creative iframe surface as the page
+     * losing focus to that iframe
+     */
+    detectFrameClick() {
+      setTimeout(() => {
+        if (this.iframe && document.activeElement === this.iframe && !this.clicked) {
+          this.clicked = true;
+          this.verification?.dispatch('adUserInteraction', { interactionType: 'click' });
+          this.emit('click', { zone: this.zone.zone });
+        }
+      }, 0);
     }
 
     render() {
@@ -127,6 +427,7 @@
 
       // Find best zone for this size
       const zone = findBestZone(size.width, size.height);
+      this.zone = zone;
 
       // Create responsive container
       this.container.style.cssText = `
@@ -149,7 +450,7 @@
 
       // Create iframe
       this.iframe = document.createElement('iframe');
-      this.iframe.src = `${BUZZER_API}/ads/serve/${zone.zone}?cb=${Date.now()}&responsive=1`;
+      this.iframe.src = apiUrl(`/ads/serve/${zone.zone}`, { cb: Date.now(), responsive: 1 });
       this.iframe.style.cssText = `
         position: absolute;
         top: 0;
@@ -160,6 +461,8 @@
       `;
       this.iframe.setAttribute('scrolling', 'no');
       this.iframe.setAttribute('frameborder', '0');
+      this.iframe.addEventListener('load', () => this.emit('loaded', { zone: zone.zone }), { once: true });
+      this.emit('request', { zone: zone.zone, width: zone.width, height: zone.height });
 
       wrapper.appendChild(this.iframe);
       this.container.innerHTML = '';
@@ -196,6 +499,7 @@
           // Only re-render if size changed significantly (>50px)
           if (Math.abs(newSize.width - this.currentSize.width) > 50) {
             this.render();
+            this.verification?.reportGeometry();
             if (this.options.onResize) {
               this.options.onResize(newSize);
             }
@@ -207,10 +511,20 @@
     }
 
     destroy() {
+      window.removeEventListener('blur', this.onWindowBlur);
       if (this.resizeObserver) {
         this.resizeObserver.disconnect();
       }
+      if (this.verification) {
+        this.verification.finish();
+        this.verification = null;
+      }
+      if (this.viewability) {
+        this.viewability.finish();
+        this.viewability = null;
+      }
       this.container.innerHTML = '';
+      this.emit('destroyed');
     }
   }
 
@@ -218,14 +532,95 @@
   // 2. NATIVE AD TEMPLATES
   // ============================================================
 
+  /**
+   * Escape text for use in HTML content and quoted attributes
+   */
+  function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, c => ({
+      '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[c]);
+  }
+
+  /**
+   * The URL if it is an absolute http(s) URL, null for anything else
+   * (javascript:, data:, protocol-relative //host or relative paths)
+   */
+  function safeUrl(url) {
+    if (typeof url !== 'string' || !/^https?:\/\//i.test(url.trim())) return null;
+    try {
+      new URL(url.trim());
+      return url.trim();
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * A CSS value that can't leave its declaration or load anything:
+   * colours, lengths, keywords and functions like rgba() or
+   * linear-gradient(), but no quotes, semicolons, escapes or url()
+   */
+  function isSafeCssValue(value) {
+    if (typeof value !== 'string' && typeof value !== 'number') return false;
+    const css = String(value);
+    if (!/^[#\w\s.,%()\/+-]*$/.test(css)) return false;
+    if (/\b(url|image|image-set|cross-fade|element|expression)\s*\(/i.test(css)) return false;
+
+    let depth = 0;
+    for (const c of css) {
+      depth += c === '(' ? 1 : c === ')' ? -1 : 0;
+      if (depth < 0) return false;
+    }
+    return depth === 0;
+  }
+
+  /**
+   * Everything a template interpolates, made safe for its context. Unsafe
+   * style values are dropped so the template's default applies.
+   */
+  function sanitizeNative(ad, styles = {}) {
+    const safeStyles = {};
+    Object.keys(styles).forEach(key => {
+      if (isSafeCssValue(styles[key])) safeStyles[key] = escapeHtml(styles[key]);
+    });
+    const dimension = value => {
+      const size = typeof value === 'string' && value.trim() ? Number(value) : value;
+      return typeof size === 'number' && Number.isFinite(size) && size > 0 ? Math.round(size) : '';
+    };
+
+    return {
+      ad: {
+        title: escapeHtml(ad.title),
+        description: escapeHtml(ad.description),
+        sponsor: escapeHtml(ad.sponsor),
+        cta: escapeHtml(ad.cta),
+        image: escapeHtml(safeUrl(ad.image) || ''),
+        imageWidth: dimension(ad.imageWidth),
+        imageHeight: dimension(ad.imageHeight),
+        clickUrl: escapeHtml(safeUrl(ad.clickUrl) || 'about:blank')
+      },
+      styles: safeStyles
+    };
+  }
+
+  /**
+   * Templates only ever see sanitized ad fields and styles
+   */
+  function safeTemplate(template) {
+    return (ad, styles = {}) => {
+      const safe = sanitizeNative(ad, styles);
+      return template(safe.ad, safe.styles);
+    };
+  }
+
   /**
    * Native Ad Templates
    * Renders ads that match the site's design
    */
   const NATIVE_TEMPLATES = {
     // In-feed article style
-    'in-feed': (ad, styles) => `
-      <a href="${ad.clickUrl}" target="_blank" class="buzzer-native-link" style="
+    'in-feed': safeTemplate((ad, styles) => `
+      <a href="${ad.clickUrl}" target="_blank" rel="noopener sponsored" class="buzzer-native-link" style="
         display: flex;
         gap: 16px;
         padding: 16px;
@@ -236,7 +631,7 @@
         transition: transform 0.2s, box-shadow 0.2s;
         border: 1px solid ${styles.borderColor || 'rgba(0,0,0,0.1)'};
       ">
-        <img src="${ad.image}" alt="${ad.title}" style="
+        <img src="${ad.image}" alt="${ad.title}" width="120" height="80" style="
           width: 120px;
           height: 80px;
           object-fit: cover;
@@ -272,11 +667,11 @@
           ">${ad.description}</div>
         </div>
       </a>
-    `,
+    `),
 
     // Content recommendation widget
-    'recommendation': (ad, styles) => `
-      <a href="${ad.clickUrl}" target="_blank" class="buzzer-native-link" style="
+    'recommendation': safeTemplate((ad, styles) => `
+      <a href="${ad.clickUrl}" target="_blank" rel="noopener sponsored" class="buzzer-native-link" style="
         display: block;
         text-decoration: none;
         color: inherit;
@@ -286,7 +681,7 @@
         border: 1px solid ${styles.borderColor || 'rgba(0,0,0,0.1)'};
       ">
         <div style="position: relative;">
-          <img src="${ad.image}" alt="${ad.title}" style="
+          <img src="${ad.image}" alt="${ad.title}" height="160" style="
             width: 100%;
             height: 160px;
             object-fit: cover;
@@ -317,10 +712,10 @@
           ">${ad.sponsor}</div>
         </div>
       </a>
-    `,
+    `),
 
     // Sidebar widget
-    'sidebar': (ad, styles) => `
+    'sidebar': safeTemplate((ad, styles) => `
       <div style="
         background: ${styles.background || '#f8f9fa'};
         border-radius: ${styles.borderRadius || '12px'};
@@ -334,8 +729,8 @@
           text-transform: uppercase;
           letter-spacing: 0.5px;
         ">Sponsored</div>
-        <a href="${ad.clickUrl}" target="_blank" style="text-decoration: none; color: inherit;">
-          <img src="${ad.image}" alt="${ad.title}" style="
+        <a href="${ad.clickUrl}" target="_blank" rel="noopener sponsored" style="text-decoration: none; color: inherit;">
+          <img src="${ad.image}" alt="${ad.title}" width="${ad.imageWidth || 300}" height="${ad.imageHeight || 200}" style="
             width: 100%;
             height: auto;
             border-radius: 8px;
@@ -365,10 +760,10 @@
           ">${ad.cta}</div>
         </a>
       </div>
-    `,
+    `),
 
     // Minimal text link
-    'text-link': (ad, styles) => `
+    'text-link': safeTemplate((ad, styles) => `
       <div style="
         padding: 12px;
         border-left: 3px solid ${styles.accentColor || '#4F46E5'};
@@ -379,7 +774,7 @@
           color: ${styles.sponsorColor || '#666'};
           text-transform: uppercase;
         ">Ad</span>
-        <a href="${ad.clickUrl}" target="_blank" style="
+        <a href="${ad.clickUrl}" target="_blank" rel="noopener sponsored" style="
           display: block;
           font-size: ${styles.titleSize || '14px'};
           color: ${styles.linkColor || '#4F46E5'};
@@ -387,47 +782,198 @@
           margin-top: 4px;
         ">${ad.title} – ${ad.sponsor}</a>
       </div>
-    `,
+    `),
   };
 
   /**
-   * Sample native ad data (would come from API in production)
+   * OpenRTB Native 1.2 asset requests per template. Asset ids are fixed so
+   * the response can be mapped back onto the template fields; image sizes
+   * are the minimum at 2x for the space each template gives the image.
    */
-  const SAMPLE_NATIVE_ADS = [
-    {
-      id: 'native-1',
-      sponsor: 'Toyota',
-      title: 'The All-New Land Cruiser Is Here',
-      description: 'Experience legendary capability meets modern luxury. Starting at $57,345.',
-      image: 'https://buzzernetwork.vercel.app/memes/d458558f34e6d1cc04587a8190a635cf.jpg',
-      cta: 'Learn More',
-      clickUrl: 'https://toyota.com?utm_source=buzzer',
-    },
-    {
-      id: 'native-2',
-      sponsor: 'IKEA',
-      title: 'Rome Was Not Built in a Day',
-      description: 'But your dream home can be. Affordable furniture for every room.',
-      image: 'https://buzzernetwork.vercel.app/memes/f05b3989614fa591313f7e4a83ea111e.jpg',
-      cta: 'Shop Now',
-      clickUrl: 'https://ikea.com?utm_source=buzzer',
-    },
-    {
-      id: 'native-3',
-      sponsor: 'McDonald\'s',
-      title: 'Throwback Thursday Menu',
-      description: 'Your favorite classics are back for a limited time. Get them before they\'re gone!',
-      image: 'https://buzzernetwork.vercel.app/memes/91a4bd3fbb0a652f7b5a1bdd3ac0d7e2.png',
-      cta: 'Order Now',
-      clickUrl: 'https://mcdonalds.com?utm_source=buzzer',
-    },
-  ];
+  const NATIVE_ASSETS = {
+    title: 1, // title
+    image: 2, // img, type 3 (main)
+    description: 3, // data, type 2 (desc)
+    sponsor: 4, // data, type 1 (sponsored)
+    cta: 5 // data, type 12 (ctatext)
+  };
+
+  const NATIVE_REQUEST_SPECS = {
+    'in-feed': { plcmttype: 1, title: 90, image: [240, 160], description: 140 },
+    'recommendation': { plcmttype: 4, title: 70, image: [600, 320] },
+    'sidebar': { plcmttype: 3, title: 90, image: [600, 400], description: 140, cta: 15 },
+    'text-link': { plcmttype: 1, title: 60 },
+  };
+
+  const NATIVE_EVENT = { IMPRESSION: 1, VIEWABLE_MRC50: 2, OMID: 555 };
+  const NATIVE_TRACKING = { IMG: 1, JS: 2 };
+
+  /**
+   * Raised when the server has no native ad for the slot
+   */
+  class NativeNoFillError extends Error {
+    constructor(message = 'No native ad available') {
+      super(message);
+      this.name = 'NativeNoFillError';
+    }
+  }
+
+  /**
+   * Build the OpenRTB Native 1.2 request for a template. `count` asks for
+   * that many ads to choose from.
+   */
+  function buildNativeRequest(template, count = 1) {
+    const spec = NATIVE_REQUEST_SPECS[template];
+    const assets = [
+      { id: NATIVE_ASSETS.title, required: 1, title: { len: spec.title } },
+      { id: NATIVE_ASSETS.sponsor, required: 1, data: { type: 1, len: 25 } }
+    ];
+    if (spec.image) {
+      assets.push({ id: NATIVE_ASSETS.image, required: 1, img: { type: 3, wmin: spec.image[0], hmin: spec.image[1] } });
+    }
+    if (spec.description) {
+      assets.push({ id: NATIVE_ASSETS.description, required: 1, data: { type: 2, len: spec.description } });
+    }
+    if (spec.cta) {
+      assets.push({ id: NATIVE_ASSETS.cta, required: 0, data: { type: 12, len: spec.cta } });
+    }
+
+    return {
+      ver: '1.2',
+      context: 1, // content-centric
+      plcmttype: spec.plcmttype,
+      plcmtcnt: count,
+      assets,
+      eventtrackers: [
+        { event: NATIVE_EVENT.IMPRESSION, methods: [NATIVE_TRACKING.IMG, NATIVE_TRACKING.JS] },
+        { event: NATIVE_EVENT.VIEWABLE_MRC50, methods: [NATIVE_TRACKING.IMG] },
+        { event: NATIVE_EVENT.OMID, methods: [NATIVE_TRACKING.JS] }
+      ],
+      privacy: 1
+    };
+  }
+
+  /**
+   * Map one native response ({id, native} or a bare native object) onto
+   * the fields the templates use. Returns null when a required asset is
+   * missing.
+   */
+  function parseNativeResponse(response, template) {
+    const native = response && (response.native || response);
+    if (!native || !Array.isArray(native.assets) || !safeUrl(native.link?.url)) return null;
+
+    const assets = {};
+    native.assets.forEach(asset => { assets[asset.id] = asset; });
+    const text = id => String(assets[id]?.title?.text ?? assets[id]?.data?.value ?? '');
+
+    const spec = NATIVE_REQUEST_SPECS[template];
+    const image = assets[NATIVE_ASSETS.image]?.img;
+    if (!text(NATIVE_ASSETS.title) || (spec.image && !safeUrl(image?.url))) return null;
+
+    const eventTrackers = (native.eventtrackers || []).filter(t => safeUrl(t.url));
+    const trackers = (event, method) => eventTrackers
+      .filter(t => t.event === event && t.method === method)
+      .map(t => safeUrl(t.url));
+
+    return {
+      id: response.id || native.ext?.id || null,
+      sponsor: text(NATIVE_ASSETS.sponsor),
+      title: text(NATIVE_ASSETS.title),
+      description: text(NATIVE_ASSETS.description),
+      image: safeUrl(image?.url) || '',
+      imageWidth: image?.w || (spec.image && spec.image[0] / 2) || null,
+      imageHeight: image?.h || (spec.image && spec.image[1] / 2) || null,
+      cta: text(NATIVE_ASSETS.cta) || 'Learn More',
+      clickUrl: safeUrl(native.link.url),
+      clickTrackers: (native.link.clicktrackers || []).map(safeUrl).filter(Boolean),
+      // imptrackers and jstracker are deprecated in 1.2 but still sent by older bidders
+      impressionTrackers: [
+        ...trackers(NATIVE_EVENT.IMPRESSION, NATIVE_TRACKING.IMG),
+        ...(native.imptrackers || []).map(safeUrl).filter(Boolean)
+      ],
+      jsTrackers: [
+        ...trackers(NATIVE_EVENT.IMPRESSION, NATIVE_TRACKING.JS).map(url => `<script src="${escapeHtml(url)}"><\/script>`),
+        ...(native.jstracker ? [native.jstracker] : [])
+      ],
+      viewableTrackers: trackers(NATIVE_EVENT.VIEWABLE_MRC50, NATIVE_TRACKING.IMG),
+      verifications: eventTrackers
+        .filter(t => t.event === NATIVE_EVENT.OMID && t.method === NATIVE_TRACKING.JS)
+        .map(t => ({
+          vendor: t.ext?.vendorKey || '',
+          url: t.url,
+          parameters: t.ext?.verification_parameters || ''
+        }))
+    };
+  }
+
+  /**
+   * Request native ads for a template from the ad server. Resolves with
+   * the ads that have every required asset; rejects with
+   * NativeNoFillError when there are none.
+   */
+  async function fetchNativeAds(template, { count = 1, timeout = 5000 } = {}) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+
+    try {
+      const response = await fetch(apiUrl('/ads/native', { format: template }), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(buildNativeRequest(template, count)),
+        signal: controller.signal
+      });
+      if (response.status === 204) throw new NativeNoFillError();
+      if (!response.ok) throw new Error(`Native ad request failed with HTTP ${response.status}`);
+
+      const body = await response.json();
+      const ads = (Array.isArray(body) ? body : [body])
+        .map(ad => parseNativeResponse(ad, template))
+        .filter(Boolean);
+      if (!ads.length) throw new NativeNoFillError();
+      return ads;
+    } catch (error) {
+      if (error.name === 'AbortError') throw new Error(`Native ad request timed out after ${timeout}ms`);
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Fire tracking pixels
+   */
+  function firePixels(urls) {
+    urls.forEach(url => {
+      const img = new Image();
+      img.src = url;
+    });
+  }
+
+  /**
+   * Run the ad's JavaScript trackers in a sandboxed frame, away from the
+   * publisher page
+   */
+  function runJsTrackers(snippets) {
+    if (!snippets.length) return null;
+
+    const frame = document.createElement('iframe');
+    frame.setAttribute('sandbox', 'allow-scripts');
+    frame.setAttribute('aria-hidden', 'true');
+    frame.tabIndex = -1;
+    frame.title = 'Ad tracking';
+    frame.style.cssText = 'position:absolute;width:0;height:0;border:none;visibility:hidden;';
+    frame.srcdoc = `<!DOCTYPE html><html><body>${snippets.join('\n')}</body></html>`;
+    document.body.appendChild(frame);
+    return frame;
+  }
 
   /**
    * BuzzerNativeAd - Native ad renderer
    */
-  class BuzzerNativeAd {
+  class BuzzerNativeAd extends BuzzerEmitter {
     constructor(container, options = {}) {
+      super('native');
+      options = { ...configDefaults('native'), ...options };
       this.container = typeof container === 'string'
         ? document.querySelector(container)
         : container;
@@ -437,31 +983,72 @@
         styles: options.styles || {},
         onImpression: options.onImpression || null,
         onClick: options.onClick || null,
+        onViewable: options.onViewable || null, // MRC viewable impression (needs buzzer-viewability.js)
+        verifications: options.verifications || [], // merged with the ad's own
+        timeout: options.timeout || 5000, // ms for the ad request
         ...options
       };
 
       this.adData = null;
+      this.verification = null;
+      this.viewability = null;
+      this.trackerFrame = null;
+      this.collapsed = false;
     }
 
+    /**
+     * Fetch and render an ad. Resolves with the ad once it's on the page;
+     * rejects if nothing could be shown, collapsing the slot on no fill.
+     */
     async load() {
+      this.emit('request', { template: this.options.template });
       try {
-        // In production, fetch from API
-        // const response = await fetch(`${BUZZER_API}/ads/native?format=${this.options.template}`);
-        // this.adData = await response.json();
+        if (!NATIVE_TEMPLATES[this.options.template]) {
+          throw new Error(`Unknown native template: ${this.options.template}`);
+        }
 
-        // For demo, use sample data
-        this.adData = SAMPLE_NATIVE_ADS[Math.floor(Math.random() * SAMPLE_NATIVE_ADS.length)];
+        const [ad] = await fetchNativeAds(this.options.template, { timeout: this.options.timeout });
+        this.adData = ad;
+        this.emit('loaded', { ad: this.adData });
 
         this.render();
-        this.trackImpression();
+        this.startVerification();
+        this.startViewability();
+        return this.adData;
       } catch (error) {
+        throw this.fail(error);
+      }
+    }
+
+    /**
+     * Report a failed load: no fill collapses the slot, anything else is
+     * logged. Returns the error for the caller to rethrow.
+     */
+    fail(error) {
+      if (error instanceof NativeNoFillError) {
+        this.collapse();
+        this.emit('noFill', { error });
+      } else {
         console.error('Native ad load error:', error);
+        this.emit('error', { error });
       }
+      return error;
+    }
+
+    collapse() {
+      this.container.innerHTML = '';
+      this.container.style.display = 'none';
+      this.collapsed = true;
     }
 
     render() {
       if (!this.adData) return;
 
+      if (this.collapsed) {
+        this.container.style.display = '';
+        this.collapsed = false;
+      }
+
       const template = NATIVE_TEMPLATES[this.options.template];
       if (!template) {
         console.error(`Unknown native template: ${this.options.template}`);
@@ -495,14 +1082,56 @@
           link.style.transform = '';
           link.style.boxShadow = '';
         });
-        link.addEventListener('click', () => this.trackClick());
       }
+
+      // Every template's click-through link, not just the card-style ones
+      this.container.querySelectorAll('a[href]').forEach(anchor => {
+        anchor.addEventListener('click', () => this.trackClick());
+      });
+    }
+
+    startVerification() {
+      if (this.verification) this.verification.finish();
+      this.verification = createVerificationSession({
+        element: this.container,
+        mediaType: 'native',
+        verifications: [...this.options.verifications, ...(this.adData.verifications || [])]
+      });
+      this.verification?.dispatch('loaded');
+    }
+
+    /**
+     * The impression counts once the ad is viewable (MRC). Where that
+     * can't be measured - no buzzer-viewability.js or IntersectionObserver -
+     * it counts once rendered.
+     */
+    startViewability() {
+      if (this.viewability) this.viewability.finish();
+      const id = this.adData.id;
+      this.viewability = createViewabilityTracker({
+        element: this.container,
+        mediaType: 'native',
+        onEvent: (type, data) => {
+          logViewability({ type: 'native', id }, type, data);
+          if (type !== 'viewable') return;
+          this.trackImpression();
+          firePixels(this.adData.viewableTrackers || []);
+          this.emit('viewable', { ad: this.adData });
+          if (this.options.onViewable) this.options.onViewable(this.adData);
+        }
+      });
+      if (!this.viewability || typeof IntersectionObserver === 'undefined') this.trackImpression();
     }
 
     trackImpression() {
       // Fire impression pixel
       const img = new Image();
-      img.src = `${BUZZER_API}/ads/log?type=native&id=${this.adData.id}&cb=${Date.now()}`;
+      img.src = apiUrl('/ads/log', { type: 'native', id: this.adData.id, cb: Date.now() });
+      firePixels(this.adData.impressionTrackers || []);
+      if (this.trackerFrame) this.trackerFrame.remove();
+      this.trackerFrame = runJsTrackers(this.adData.jsTrackers || []);
+      this.verification?.dispatch('impression', { mediaType: 'native', creativeType: 'nativeDisplay' });
+      this.emit('impression', { ad: this.adData });
 
       if (this.options.onImpression) {
         this.options.onImpression(this.adData);
@@ -512,12 +1141,32 @@
     trackClick() {
       // Fire click tracking
       const img = new Image();
-      img.src = `${BUZZER_API}/ads/click?type=native&id=${this.adData.id}&cb=${Date.now()}`;
+      img.src = apiUrl('/ads/click', { type: 'native', id: this.adData.id, cb: Date.now() });
+      firePixels(this.adData.clickTrackers || []);
+      this.verification?.dispatch('adUserInteraction', { interactionType: 'click' });
+      this.emit('click', { ad: this.adData });
 
       if (this.options.onClick) {
         this.options.onClick(this.adData);
       }
     }
+
+    destroy() {
+      if (this.verification) {
+        this.verification.finish();
+        this.verification = null;
+      }
+      if (this.viewability) {
+        this.viewability.finish();
+        this.viewability = null;
+      }
+      if (this.trackerFrame) {
+        this.trackerFrame.remove();
+        this.trackerFrame = null;
+      }
+      this.container.innerHTML = '';
+      this.emit('destroyed');
+    }
   }
 
   // ============================================================
@@ -808,8 +1457,30 @@
         this.gatherUserSignals();
       }
 
-      // Get available ads (would fetch from API in production)
-      const availableAds = SAMPLE_NATIVE_ADS;
+      const template = options.template || 'sidebar';
+      const nativeAd = new BuzzerNativeAd(container, {
+        template,
+        styles: options.styles || {},
+        onImpression: () => {
+          if (finalAd.variationId) {
+            this.recordImpression(finalAd.variationId);
+          }
+        },
+        onClick: () => {
+          if (finalAd.variationId) {
+            this.recordClick(finalAd.variationId);
+          }
+        },
+      });
+
+      // Get a few candidate ads to pick from
+      let availableAds;
+      nativeAd.emit('request', { template });
+      try {
+        availableAds = await fetchNativeAds(template, { count: 3, timeout: nativeAd.options.timeout });
+      } catch (error) {
+        throw nativeAd.fail(error);
+      }
 
       // Match best ad to context
       const selectedAd = this.matchAdToContext(availableAds, this.pageContext || {});
@@ -831,26 +1502,12 @@
         });
       }
 
-      // Render using native ad renderer
-      const nativeAd = new BuzzerNativeAd(container, {
-        template: options.template || 'sidebar',
-        styles: options.styles || {},
-        onImpression: () => {
-          if (finalAd.variationId) {
-            this.recordImpression(finalAd.variationId);
-          }
-        },
-        onClick: () => {
-          if (finalAd.variationId) {
-            this.recordClick(finalAd.variationId);
-          }
-        },
-      });
-
-      // Override with AI-selected ad
+      // Render the AI-selected ad
       nativeAd.adData = finalAd;
+      nativeAd.emit('loaded', { ad: finalAd });
       nativeAd.render();
-      nativeAd.trackImpression();
+      nativeAd.startVerification();
+      nativeAd.startViewability();
 
       return {
         ad: finalAd,
@@ -883,7 +1540,7 @@
           titleColor: '#fff',
           descColor: '#aaa',
         } : {},
-      }).load();
+      }).load().catch(() => {}); // logged by load()
     });
 
     // Auto-init AI assembly
@@ -891,7 +1548,7 @@
       const template = el.getAttribute('data-buzzer-ai');
       const debug = el.hasAttribute('data-debug');
       const ai = new BuzzerAIAssembly({ debugMode: debug });
-      ai.assembleAd(el, { template });
+      ai.assembleAd(el, { template }).catch(() => {}); // reported by the native ad
     });
   }
 
@@ -909,6 +1566,7 @@
   window.BuzzerAds = window.BuzzerAds || {};
   window.BuzzerAds.ResponsiveAd = BuzzerResponsiveAd;
   window.BuzzerAds.NativeAd = BuzzerNativeAd;
+  window.BuzzerAds.NativeNoFillError = NativeNoFillError;
   window.BuzzerAds.AIAssembly = BuzzerAIAssembly;
   window.BuzzerAds.NATIVE_TEMPLATES = NATIVE_TEMPLATES;
   window.BuzzerAds.IAB_ASPECT_RATIOS = IAB_ASPECT_RATIOS;
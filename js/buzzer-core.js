@@ -0,0 +1,227 @@
+/**
+ * Buzzer Network Core
+ * Configuration and helpers shared by every Buzzer script. A copy is
+ * bundled into buzzer-video.js and buzzer-advanced.js (npm run bundle),
+ * so each works on its own; the first copy on the page wins.
+ */
+(function() {
+  'use strict';
+
+  if (window.BuzzerAds && window.BuzzerAds.Emitter) {
+    window.BuzzerAds.configureFromScript(document.currentScript);
+    return;
+  }
+
+  const DEFAULT_API_BASE = 'https://buzzer-networkbackend-production.up.railway.app';
+
+  // ============================================================
+  // CONFIGURATION
+  // ============================================================
+
+  /**
+   * Settings shared by every Buzzer script on the page. Set them with
+   * BuzzerAds.init({ apiBase, publisherId, environment, defaults }) or
+   * data-* attributes on any Buzzer script tag:
+   *
+   *   <script src="buzzer-video.js" data-publisher-id="..."
+   *           data-environment="staging" data-api-base="https://..."></script>
+   */
+  const config = {
+    apiBase: DEFAULT_API_BASE, // ad server every ad, beacon and pixel goes to
+    publisherId: null, // sent with every request to the ad server
+    environment: 'production', // anything else is tagged as test traffic
+    defaults: {} // option defaults per ad type, e.g. { video: { muted: false } }
+  };
+
+  function configure(settings = {}) {
+    if (settings.apiBase) config.apiBase = String(settings.apiBase).replace(/\/+$/, '');
+    if (settings.publisherId !== undefined) config.publisherId = settings.publisherId;
+    if (settings.environment) config.environment = settings.environment;
+    Object.entries(settings.defaults || {}).forEach(([adType, defaults]) => {
+      config.defaults[adType] = { ...config.defaults[adType], ...defaults };
+    });
+    return config;
+  }
+
+  /**
+   * data-api-base, data-publisher-id, data-environment and data-defaults
+   * (JSON) on a Buzzer <script> tag
+   */
+  function configureFromScript(script) {
+    if (!script || !script.dataset) return;
+
+    const { apiBase, publisherId, environment, defaults } = script.dataset;
+    let parsedDefaults = {};
+    if (defaults) {
+      try {
+        parsedDefaults = JSON.parse(defaults);
+      } catch (error) {
+        console.error('Invalid data-defaults on Buzzer script tag:', error);
+      }
+    }
+    configure({ apiBase, publisherId, environment, defaults: parsedDefaults });
+  }
+
+  configureFromScript(document.currentScript);
+
+  /**
+   * Ad server URL for a path, tagged with the publisher and (outside
+   * production) the environment
+   */
+  function apiUrl(path, params = {}) {
+    const url = new URL(config.apiBase + path, window.location.href);
+    Object.entries(params).forEach(([name, value]) => {
+      if (value !== null && value !== undefined) url.searchParams.set(name, value);
+    });
+    if (config.publisherId) url.searchParams.set('pub', config.publisherId);
+    if (config.environment !== 'production') url.searchParams.set('env', config.environment);
+    return url.href;
+  }
+
+  /**
+   * Publisher-wide option defaults for an ad type (see config.defaults)
+   */
+  function configDefaults(adType) {
+    return config.defaults[adType] || {};
+  }
+
+  // ============================================================
+  // EVENTS
+  // ============================================================
+
+  // Lifecycle events an ad run by another ad (e.g. the rewarded ad's
+  // player) hands up to it
+  const RELAYED_EVENTS = ['request', 'loaded', 'noFill', 'impression', 'viewable', 'click', 'start', 'complete', 'skip', 'error'];
+
+  /**
+   * on / off / once events for every ad class. Listeners get a single
+   * event object, { type, adType, target, ...data }, and '*' listens to
+   * every type. Events also reach the page-wide BuzzerAds.on() bus.
+   */
+  class BuzzerEmitter {
+    constructor(adType) {
+      this.adType = adType;
+      this.listeners = {};
+      this.relay = null; // emitter that reports our lifecycle events as its own
+    }
+
+    on(type, listener) {
+      (this.listeners[type] = this.listeners[type] || []).push(listener);
+      return this;
+    }
+
+    off(type, listener) {
+      if (!this.listeners[type]) return this;
+      this.listeners[type] = listener
+        ? this.listeners[type].filter(l => l !== listener && l.listener !== listener)
+        : [];
+      return this;
+    }
+
+    once(type, listener) {
+      const wrapper = (event) => {
+        this.off(type, wrapper);
+        listener(event);
+      };
+      wrapper.listener = listener;
+      return this.on(type, wrapper);
+    }
+
+    dispatch(event) {
+      [...(this.listeners[event.type] || []), ...(this.listeners['*'] || [])].forEach(listener => {
+        try {
+          listener(event);
+        } catch (error) {
+          console.error(`Error in ${event.type} listener:`, error);
+        }
+      });
+    }
+
+    emit(type, data = {}) {
+      const event = { type, adType: this.adType, target: this, ...data };
+      this.dispatch(event);
+
+      if (!this.relay) {
+        pageEvents.dispatch(event);
+      } else if (RELAYED_EVENTS.includes(type)) {
+        this.relay.emit(type, data);
+      }
+    }
+  }
+
+  // Page-wide bus behind BuzzerAds.on()
+  const pageEvents = new BuzzerEmitter('page');
+
+  // ============================================================
+  // VIEWABILITY
+  // ============================================================
+
+  /**
+   * Start MRC viewability measurement when buzzer-viewability.js is loaded
+   */
+  function createViewabilityTracker(options) {
+    const Tracker = window.BuzzerAds && window.BuzzerAds.ViewabilityTracker;
+    if (!Tracker) return null;
+
+    const tracker = new Tracker(options);
+    tracker.start();
+    return tracker;
+  }
+
+  /**
+   * Viewability events go to the ad log as their own event types:
+   * measured, viewable, time_in_view and unmeasurable
+   */
+  function logViewability(params, type, data = {}) {
+    const query = {
+      ...params,
+      event: type === 'timeInView' ? 'time_in_view' : type
+    };
+    if (type === 'timeInView') {
+      query.ms = Math.round(data.timeInView);
+      query.max = Math.round(data.maxContinuous);
+      query.viewable = data.viewable ? 1 : 0;
+    }
+    query.cb = Date.now();
+
+    const img = new Image();
+    img.src = apiUrl('/ads/log', query);
+  }
+
+  // ============================================================
+  // VERIFICATION
+  // ============================================================
+
+  /**
+   * Start a verification session when buzzer-verification.js is loaded
+   * and the ad lists any verification scripts
+   */
+  function createVerificationSession(options) {
+    const Session = window.BuzzerAds && window.BuzzerAds.VerificationSession;
+    if (!Session || !options.verifications.length) return null;
+
+    const session = new Session(options);
+    session.start();
+    return session;
+  }
+
+  // ============================================================
+  // EXPOSE TO GLOBAL
+  // ============================================================
+
+  window.BuzzerAds = window.BuzzerAds || {};
+  window.BuzzerAds.config = config;
+  window.BuzzerAds.init = configure;
+  window.BuzzerAds.configureFromScript = configureFromScript;
+  window.BuzzerAds.apiUrl = apiUrl;
+  window.BuzzerAds.configDefaults = configDefaults;
+  window.BuzzerAds.Emitter = BuzzerEmitter;
+  window.BuzzerAds.events = pageEvents;
+  window.BuzzerAds.createViewabilityTracker = createViewabilityTracker;
+  window.BuzzerAds.logViewability = logViewability;
+  window.BuzzerAds.createVerificationSession = createVerificationSession;
+  ['on', 'off', 'once'].forEach(method => {
+    window.BuzzerAds[method] = pageEvents[method].bind(pageEvents);
+  });
+
+})();
@@ -0,0 +1,324 @@
+/**
+ * Buzzer Network Ad Verification
+ * Open Measurement-style verification sessions shared by the video,
+ * native and iframe ad formats. Load before buzzer-video.js /
+ * buzzer-advanced.js to enable it.
+ */
+(function() {
+  'use strict';
+
+  /**
+   * [REASON] values for the verificationNotExecuted tracking event
+   * (VAST 4.1, section 3.17.2)
+   */
+  const VERIFICATION_REASON = {
+    REJECTED: 1, // resource not allowed (e.g. insecure URL)
+    NOT_SUPPORTED: 2, // no apiFramework we can run
+    LOAD_ERROR: 3, // script failed or timed out while loading
+  };
+
+  /**
+   * Viewport share thresholds reported as geometryChange events
+   */
+  const GEOMETRY_THRESHOLDS = [0, 0.25, 0.5, 0.75, 1];
+
+  /**
+   * Normalise a verification from any source into
+   * { vendor, resources: [{url, apiFramework, browserOptional}], parameters, trackingEvents }
+   */
+  function normalizeVerification(v) {
+    const resources = v.resources || (v.url ? [{ url: v.url, apiFramework: v.apiFramework }] : []);
+
+    return {
+      vendor: v.vendor || '',
+      resources: resources.map(r => ({
+        url: r.url,
+        apiFramework: (r.apiFramework || 'omid').toLowerCase(),
+        browserOptional: !!r.browserOptional
+      })),
+      parameters: v.parameters || '',
+      trackingEvents: v.trackingEvents || {}
+    };
+  }
+
+  /**
+   * Frame document hosting one verification script. It exposes
+   * `window.BuzzerVerificationClient` (aliased as `omidVerificationClient`)
+   * and replays every event received so far to late subscribers.
+   */
+  function verificationFrameHtml(scriptUrl) {
+    const src = JSON.stringify(scriptUrl).replace(/</g, '\\u003c');
+
+    return `<!DOCTYPE html>
+<html><head><meta charset="UTF-8"></head><body>
+<script>
+(function() {
+  var events = [];
+  var listeners = [];
+  var context = null;
+
+  function notify(listener, event) {
+    if (listener.type === '*' || listener.type === event.type) {
+      try { listener.callback(event); } catch (e) { console.error(e); }
+    }
+  }
+
+  window.BuzzerVerificationClient = window.omidVerificationClient = {
+    isSupported: function() { return true; },
+    getContext: function() { return context; },
+    addEventListener: function(type, callback) {
+      var listener = { type: type, callback: callback };
+      listeners.push(listener);
+      events.forEach(function(event) { notify(listener, event); });
+    },
+    registerSessionObserver: function(callback) {
+      this.addEventListener('sessionStart', callback);
+      this.addEventListener('sessionFinish', callback);
+    },
+    sendUrl: function(url) { new Image().src = url; }
+  };
+
+  window.addEventListener('message', function(event) {
+    if (event.source !== parent) return;
+    var message;
+    try { message = JSON.parse(event.data); } catch (e) { return; }
+    if (message.type !== 'event') return;
+    if (message.event.type === 'sessionStart') context = message.event.data.context;
+    events.push(message.event);
+    listeners.forEach(function(listener) { notify(listener, message.event); });
+  });
+
+  var script = document.createElement('script');
+  script.src = ${src};
+  script.onload = function() { parent.postMessage(JSON.stringify({ type: 'loaded' }), '*'); };
+  script.onerror = function() { parent.postMessage(JSON.stringify({ type: 'loadError' }), '*'); };
+  document.body.appendChild(script);
+  parent.postMessage(JSON.stringify({ type: 'ready' }), '*');
+})();
+<\/script>
+</body></html>`;
+  }
+
+  /**
+   * BuzzerVerificationSession - runs an ad's verification scripts in
+   * isolated frames and feeds them session, geometry and media events
+   */
+  class BuzzerVerificationSession {
+    constructor(options = {}) {
+      this.options = {
+        element: options.element, // the ad's on-page element
+        verifications: options.verifications || [], // see normalizeVerification()
+        mediaType: options.mediaType || 'display', // display, video or native
+        timeout: options.timeout || 5000, // ms for a script to load
+        firePixel: options.firePixel || null, // (url, macros) => void
+        ...options
+      };
+
+      this.verifications = this.options.verifications.map(normalizeVerification);
+      this.frames = [];
+      this.events = [];
+      this.observer = null;
+      this.lastEntry = null; // latest IntersectionObserver entry, re-reported on tab visibility
+      this.finished = false;
+      this.onMessage = (event) => this.handleMessage(event);
+      this.onVisibilityChange = () => this.reportGeometry(this.lastEntry);
+    }
+
+    start() {
+      window.addEventListener('message', this.onMessage);
+
+      this.verifications.forEach(verification => {
+        const resource = verification.resources.find(r => r.apiFramework === 'omid');
+        if (!resource) {
+          this.notExecuted(verification, VERIFICATION_REASON.NOT_SUPPORTED);
+          return;
+        }
+        if (!/^https:\/\//i.test(resource.url)) {
+          this.notExecuted(verification, VERIFICATION_REASON.REJECTED);
+          return;
+        }
+        this.createFrame(verification, resource);
+      });
+
+      this.dispatch('sessionStart', {
+        context: {
+          adSessionType: 'html',
+          mediaType: this.options.mediaType,
+          supports: ['clid', 'vlid'],
+          pageUrl: window.location.href,
+          omidJsInfo: { serviceVersion: '1.0', partnerName: 'BuzzerNetwork' }
+        }
+      });
+      this.observeGeometry();
+    }
+
+    createFrame(verification, resource) {
+      const frame = document.createElement('iframe');
+      frame.setAttribute('sandbox', 'allow-scripts');
+      frame.setAttribute('aria-hidden', 'true');
+      frame.tabIndex = -1;
+      frame.title = `Verification: ${verification.vendor || 'ad'}`;
+      frame.style.cssText = 'position:absolute;width:0;height:0;border:none;visibility:hidden;';
+      frame.srcdoc = verificationFrameHtml(resource.url);
+
+      const entry = {
+        frame,
+        verification,
+        ready: false,
+        timer: setTimeout(() => this.rejectFrame(entry, VERIFICATION_REASON.LOAD_ERROR), this.options.timeout)
+      };
+      this.frames.push(entry);
+      document.body.appendChild(frame);
+    }
+
+    handleMessage(event) {
+      const entry = this.frames.find(f => f.frame.contentWindow === event.source);
+      if (!entry) return;
+
+      let message;
+      try {
+        message = JSON.parse(event.data);
+      } catch (e) {
+        return;
+      }
+
+      switch (message.type) {
+        case 'ready':
+          // Replay everything the frame missed while it was loading
+          entry.ready = true;
+          this.events.forEach(e => this.post(entry, e));
+          break;
+        case 'loaded':
+          clearTimeout(entry.timer);
+          break;
+        case 'loadError':
+          this.rejectFrame(entry, VERIFICATION_REASON.LOAD_ERROR);
+          break;
+      }
+    }
+
+    rejectFrame(entry, reason) {
+      clearTimeout(entry.timer);
+      entry.frame.remove();
+      this.frames = this.frames.filter(f => f !== entry);
+      this.notExecuted(entry.verification, reason);
+    }
+
+    notExecuted(verification, reason) {
+      console.warn(`Verification not executed (${verification.vendor || 'unknown vendor'}), reason ${reason}`);
+      (verification.trackingEvents.verificationNotExecuted || []).forEach(url => {
+        if (this.options.firePixel) {
+          this.options.firePixel(url, { REASON: reason });
+        } else {
+          const img = new Image();
+          img.src = url
+            .replace(/\[REASON\]/g, reason)
+            .replace(/\[CACHEBUSTING\]/g, Math.floor(Math.random() * 1e8));
+        }
+      });
+    }
+
+    /**
+     * Send an ad event (impression, start, geometryChange, ...) to every
+     * verification script
+     */
+    dispatch(type, data = {}) {
+      if (this.finished) return;
+
+      const event = { type, timestamp: Date.now(), data };
+      this.events.push(event);
+      this.frames.filter(f => f.ready).forEach(f => this.post(f, event));
+    }
+
+    post(entry, event) {
+      if (entry.frame.contentWindow) {
+        entry.frame.contentWindow.postMessage(JSON.stringify({ type: 'event', event: this.eventFor(entry, event) }), '*');
+      }
+    }
+
+    /**
+     * Each script's sessionStart carries its own VerificationParameters,
+     * in the context and (as OM SDK has it) on the event data
+     */
+    eventFor(entry, event) {
+      if (event.type !== 'sessionStart') return event;
+
+      const verificationParameters = entry.verification.parameters;
+      return {
+        ...event,
+        data: {
+          ...event.data,
+          context: { ...event.data.context, verificationParameters },
+          verificationParameters
+        }
+      };
+    }
+
+    observeGeometry() {
+      document.addEventListener('visibilitychange', this.onVisibilityChange);
+
+      if (typeof IntersectionObserver === 'undefined' || !this.options.element) {
+        this.reportGeometry();
+        return;
+      }
+
+      this.observer = new IntersectionObserver(entries => {
+        entries.forEach(entry => {
+          this.lastEntry = entry;
+          this.reportGeometry(entry);
+        });
+      }, { threshold: GEOMETRY_THRESHOLDS });
+      this.observer.observe(this.options.element);
+    }
+
+    reportGeometry(entry = null) {
+      const element = this.options.element;
+      const rect = entry ? entry.boundingClientRect : element?.getBoundingClientRect();
+      if (!rect) return;
+
+      const visible = entry ? entry.intersectionRect : null;
+      const hidden = document.visibilityState === 'hidden';
+      const ratio = hidden ? 0 : (entry ? entry.intersectionRatio : 0);
+
+      this.dispatch('geometryChange', {
+        viewport: { width: window.innerWidth, height: window.innerHeight },
+        adView: {
+          percentageInView: Math.round(ratio * 100),
+          geometry: { x: rect.left, y: rect.top, width: rect.width, height: rect.height },
+          onScreenGeometry: visible && !hidden
+            ? { x: visible.left, y: visible.top, width: visible.width, height: visible.height }
+            : { x: 0, y: 0, width: 0, height: 0 },
+          measuringElement: true,
+          reasons: hidden ? ['backgrounded'] : (ratio === 0 ? ['notFound'] : [])
+        }
+      });
+    }
+
+    /**
+     * End the session; frames get a moment to flush their final beacons
+     */
+    finish() {
+      if (this.finished) return;
+
+      this.dispatch('sessionFinish');
+      this.finished = true;
+      window.removeEventListener('message', this.onMessage);
+      document.removeEventListener('visibilitychange', this.onVisibilityChange);
+      if (this.observer) this.observer.disconnect();
+
+      const frames = this.frames;
+      this.frames = [];
+      frames.forEach(f => clearTimeout(f.timer));
+      setTimeout(() => frames.forEach(f => f.frame.remove()), 1000);
+    }
+  }
+
+  // ============================================================
+  // EXPOSE TO GLOBAL
+  // ============================================================
+
+  window.BuzzerAds = window.BuzzerAds || {};
+  window.BuzzerAds.VerificationSession = BuzzerVerificationSession;
+  window.BuzzerAds.VERIFICATION_REASON = VERIFICATION_REASON;
+
+})();
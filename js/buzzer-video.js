@@ -2,279 +2,3366 @@
  * Buzzer Network Video & Interstitial Ad Player
  * Supports VAST, Interstitial, and Rewarded video ads
  */
+// BEGIN buzzer-core.js - copied by scripts/bundle-core.js, edit js/buzzer-core.js instead
+/**
+ * Buzzer Network Core
+ * Configuration and helpers shared by every Buzzer script. A copy is
+ * bundled into buzzer-video.js and buzzer-advanced.js (npm run bundle),
+ * so each works on its own; the first copy on the page wins.
+ */
 (function() {
   'use strict';
 
-  const BUZZER_API = 'https://buzzer-networkbackend-production.up.railway.app';
+  if (window.BuzzerAds && window.BuzzerAds.Emitter) {
+    window.BuzzerAds.configureFromScript(document.currentScript);
+    return;
+  }
+
+  const DEFAULT_API_BASE = 'https://buzzer-networkbackend-production.up.railway.app';
 
   // ============================================================
-  // VAST VIDEO PLAYER
+  // CONFIGURATION
   // ============================================================
 
-  class BuzzerVideoPlayer {
-    constructor(container, options = {}) {
-      this.container = typeof container === 'string'
-        ? document.querySelector(container)
-        : container;
+  /**
+   * Settings shared by every Buzzer script on the page. Set them with
+   * BuzzerAds.init({ apiBase, publisherId, environment, defaults }) or
+   * data-* attributes on any Buzzer script tag:
+   *
+   *   <script src="buzzer-video.js" data-publisher-id="..."
+   *           data-environment="staging" data-api-base="https://..."></script>
+   */
+  const config = {
+    apiBase: DEFAULT_API_BASE, // ad server every ad, beacon and pixel goes to
+    publisherId: null, // sent with every request to the ad server
+    environment: 'production', // anything else is tagged as test traffic
+    defaults: {} // option defaults per ad type, e.g. { video: { muted: false } }
+  };
 
-      this.options = {
-        vastUrl: options.vastUrl || null,
-        width: options.width || 640,
-        height: options.height || 360,
-        autoplay: options.autoplay ?? false,
-        muted: options.muted ?? true,
-        onComplete: options.onComplete || null,
-        onSkip: options.onSkip || null,
-        onError: options.onError || null,
-        onReward: options.onReward || null,
-        skipOffset: options.skipOffset || 5,
-        ...options
-      };
+  function configure(settings = {}) {
+    if (settings.apiBase) config.apiBase = String(settings.apiBase).replace(/\/+$/, '');
+    if (settings.publisherId !== undefined) config.publisherId = settings.publisherId;
+    if (settings.environment) config.environment = settings.environment;
+    Object.entries(settings.defaults || {}).forEach(([adType, defaults]) => {
+      config.defaults[adType] = { ...config.defaults[adType], ...defaults };
+    });
+    return config;
+  }
 
-      this.videoElement = null;
-      this.skipButton = null;
-      this.vastData = null;
-      this.currentTime = 0;
-      this.trackingFired = {};
-    }
+  /**
+   * data-api-base, data-publisher-id, data-environment and data-defaults
+   * (JSON) on a Buzzer <script> tag
+   */
+  function configureFromScript(script) {
+    if (!script || !script.dataset) return;
 
-    async load() {
-      if (!this.options.vastUrl) {
-        console.error('No VAST URL provided');
-        return;
+    const { apiBase, publisherId, environment, defaults } = script.dataset;
+    let parsedDefaults = {};
+    if (defaults) {
+      try {
+        parsedDefaults = JSON.parse(defaults);
+      } catch (error) {
+        console.error('Invalid data-defaults on Buzzer script tag:', error);
       }
+    }
+    configure({ apiBase, publisherId, environment, defaults: parsedDefaults });
+  }
 
-      try {
-        // Fetch VAST XML
-        const response = await fetch(this.options.vastUrl);
-        const vastXml = await response.text();
+  configureFromScript(document.currentScript);
+
+  /**
+   * Ad server URL for a path, tagged with the publisher and (outside
+   * production) the environment
+   */
+  function apiUrl(path, params = {}) {
+    const url = new URL(config.apiBase + path, window.location.href);
+    Object.entries(params).forEach(([name, value]) => {
+      if (value !== null && value !== undefined) url.searchParams.set(name, value);
+    });
+    if (config.publisherId) url.searchParams.set('pub', config.publisherId);
+    if (config.environment !== 'production') url.searchParams.set('env', config.environment);
+    return url.href;
+  }
+
+  /**
+   * Publisher-wide option defaults for an ad type (see config.defaults)
+   */
+  function configDefaults(adType) {
+    return config.defaults[adType] || {};
+  }
+
+  // ============================================================
+  // EVENTS
+  // ============================================================
+
+  // Lifecycle events an ad run by another ad (e.g. the rewarded ad's
+  // player) hands up to it
+  const RELAYED_EVENTS = ['request', 'loaded', 'noFill', 'impression', 'viewable', 'click', 'start', 'complete', 'skip', 'error'];
+
+  /**
+   * on / off / once events for every ad class. Listeners get a single
+   * event object, { type, adType, target, ...data }, and '*' listens to
+   * every type. Events also reach the page-wide BuzzerAds.on() bus.
+   */
+  class BuzzerEmitter {
+    constructor(adType) {
+      this.adType = adType;
+      this.listeners = {};
+      this.relay = null; // emitter that reports our lifecycle events as its own
+    }
+
+    on(type, listener) {
+      (this.listeners[type] = this.listeners[type] || []).push(listener);
+      return this;
+    }
+
+    off(type, listener) {
+      if (!this.listeners[type]) return this;
+      this.listeners[type] = listener
+        ? this.listeners[type].filter(l => l !== listener && l.listener !== listener)
+        : [];
+      return this;
+    }
 
-        // Parse VAST
-        this.vastData = this.parseVast(vastXml);
+    once(type, listener) {
+      const wrapper = (event) => {
+        this.off(type, wrapper);
+        listener(event);
+      };
+      wrapper.listener = listener;
+      return this.on(type, wrapper);
+    }
 
-        if (!this.vastData || !this.vastData.mediaFile) {
-          throw new Error('No media file in VAST response');
+    dispatch(event) {
+      [...(this.listeners[event.type] || []), ...(this.listeners['*'] || [])].forEach(listener => {
+        try {
+          listener(event);
+        } catch (error) {
+          console.error(`Error in ${event.type} listener:`, error);
         }
+      });
+    }
 
-        this.render();
+    emit(type, data = {}) {
+      const event = { type, adType: this.adType, target: this, ...data };
+      this.dispatch(event);
 
-      } catch (error) {
-        console.error('VAST load error:', error);
-        if (this.options.onError) this.options.onError(error);
+      if (!this.relay) {
+        pageEvents.dispatch(event);
+      } else if (RELAYED_EVENTS.includes(type)) {
+        this.relay.emit(type, data);
       }
     }
+  }
 
-    parseVast(xml) {
-      const parser = new DOMParser();
-      const doc = parser.parseFromString(xml, 'text/xml');
+  // Page-wide bus behind BuzzerAds.on()
+  const pageEvents = new BuzzerEmitter('page');
 
-      const mediaFile = doc.querySelector('MediaFile');
-      const clickThrough = doc.querySelector('ClickThrough');
-      const impressionUrl = doc.querySelector('Impression');
-      const skipOffset = doc.querySelector('Linear')?.getAttribute('skipoffset');
+  // ============================================================
+  // VIEWABILITY
+  // ============================================================
 
-      // Get all tracking events
-      const trackingEvents = {};
-      doc.querySelectorAll('Tracking').forEach(t => {
-        const event = t.getAttribute('event');
-        trackingEvents[event] = t.textContent.trim();
-      });
+  /**
+   * Start MRC viewability measurement when buzzer-viewability.js is loaded
+   */
+  function createViewabilityTracker(options) {
+    const Tracker = window.BuzzerAds && window.BuzzerAds.ViewabilityTracker;
+    if (!Tracker) return null;
+
+    const tracker = new Tracker(options);
+    tracker.start();
+    return tracker;
+  }
+
+  /**
+   * Viewability events go to the ad log as their own event types:
+   * measured, viewable, time_in_view and unmeasurable
+   */
+  function logViewability(params, type, data = {}) {
+    const query = {
+      ...params,
+      event: type === 'timeInView' ? 'time_in_view' : type
+    };
+    if (type === 'timeInView') {
+      query.ms = Math.round(data.timeInView);
+      query.max = Math.round(data.maxContinuous);
+      query.viewable = data.viewable ? 1 : 0;
+    }
+    query.cb = Date.now();
+
+    const img = new Image();
+    img.src = apiUrl('/ads/log', query);
+  }
+
+  // ============================================================
+  // VERIFICATION
+  // ============================================================
+
+  /**
+   * Start a verification session when buzzer-verification.js is loaded
+   * and the ad lists any verification scripts
+   */
+  function createVerificationSession(options) {
+    const Session = window.BuzzerAds && window.BuzzerAds.VerificationSession;
+    if (!Session || !options.verifications.length) return null;
+
+    const session = new Session(options);
+    session.start();
+    return session;
+  }
+
+  // ============================================================
+  // EXPOSE TO GLOBAL
+  // ============================================================
+
+  window.BuzzerAds = window.BuzzerAds || {};
+  window.BuzzerAds.config = config;
+  window.BuzzerAds.init = configure;
+  window.BuzzerAds.configureFromScript = configureFromScript;
+  window.BuzzerAds.apiUrl = apiUrl;
+  window.BuzzerAds.configDefaults = configDefaults;
+  window.BuzzerAds.Emitter = BuzzerEmitter;
+  window.BuzzerAds.events = pageEvents;
+  window.BuzzerAds.createViewabilityTracker = createViewabilityTracker;
+  window.BuzzerAds.logViewability = logViewability;
+  window.BuzzerAds.createVerificationSession = createVerificationSession;
+  ['on', 'off', 'once'].forEach(method => {
+    window.BuzzerAds[method] = pageEvents[method].bind(pageEvents);
+  });
+
+})();
+// END buzzer-core.js
+
+(function() {
+  'use strict';
+
+  // Shared with the other Buzzer scripts (buzzer-core.js, bundled above)
+  const {
+    config, apiUrl, configDefaults,
+    Emitter: BuzzerEmitter,
+    createVerificationSession, createViewabilityTracker, logViewability
+  } = window.BuzzerAds;
+
+  /**
+   * Standard VAST error codes (VAST 3/4 spec, section 2.4.2.3)
+   */
+  const VAST_ERROR = {
+    XML_PARSE: 100,
+    UNSUPPORTED_VERSION: 102,
+    WRAPPER: 300,
+    WRAPPER_TIMEOUT: 301,
+    WRAPPER_LIMIT: 302,
+    NO_ADS: 303,
+    LINEAR: 400,
+    MEDIA_NOT_FOUND: 401,
+    MEDIA_TIMEOUT: 402,
+    MEDIA_UNSUPPORTED: 403,
+    MEDIA_DISPLAY: 405,
+    UNDEFINED: 900,
+    VPAID: 901,
+    INTERACTIVE: 902,
+  };
+
+  /**
+   * Error passed to onError - `code` is one of VAST_ERROR
+   */
+  class VastError extends Error {
+    constructor(code, message) {
+      super(message);
+      this.name = 'VastError';
+      this.code = code;
+    }
+  }
+
+  /**
+   * Format seconds as a VAST timecode (HH:MM:SS.mmm)
+   */
+  function formatTimecode(seconds) {
+    const ms = Math.round((seconds || 0) * 1000);
+    const pad = (n, len = 2) => String(n).padStart(len, '0');
+    return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:` +
+      `${pad(Math.floor(ms / 1000) % 60)}.${pad(ms % 1000, 3)}`;
+  }
 
+  /**
+   * Parse a VAST timecode (HH:MM:SS or HH:MM:SS.mmm) to seconds
+   */
+  function parseTimecode(timecode) {
+    const parts = timecode.trim().split(':').map(parseFloat);
+    if (parts.length !== 3 || parts.some(isNaN)) return 0;
+    return parts[0] * 3600 + parts[1] * 60 + parts[2];
+  }
+
+  /**
+   * Read the Static/IFrame/HTML resource of a Companion or Icon node
+   */
+  function parseResource(node) {
+    const staticResource = node.querySelector(':scope > StaticResource');
+    if (staticResource) {
       return {
-        mediaFile: mediaFile?.textContent?.trim(),
-        mediaType: mediaFile?.getAttribute('type'),
-        width: mediaFile?.getAttribute('width'),
-        height: mediaFile?.getAttribute('height'),
-        clickThrough: clickThrough?.textContent?.trim(),
-        clickTracking: doc.querySelector('ClickTracking')?.textContent?.trim(),
-        impressionUrl: impressionUrl?.textContent?.trim(),
-        skipOffset: skipOffset ? this.parseSkipOffset(skipOffset) : null,
-        trackingEvents
+        type: 'static',
+        creativeType: staticResource.getAttribute('creativeType') || '',
+        content: staticResource.textContent.trim()
       };
     }
 
-    parseSkipOffset(offset) {
-      // Parse "00:00:05" format to seconds
-      const parts = offset.split(':');
-      if (parts.length === 3) {
-        return parseInt(parts[0]) * 3600 + parseInt(parts[1]) * 60 + parseInt(parts[2]);
-      }
-      return parseInt(offset) || 5;
+    const iframeResource = node.querySelector(':scope > IFrameResource');
+    if (iframeResource) {
+      return { type: 'iframe', content: iframeResource.textContent.trim() };
     }
 
-    render() {
-      this.container.innerHTML = '';
-      this.container.style.position = 'relative';
-      this.container.style.width = this.options.width + 'px';
-      this.container.style.height = this.options.height + 'px';
-      this.container.style.backgroundColor = '#000';
+    const htmlResource = node.querySelector(':scope > HTMLResource');
+    if (htmlResource) {
+      return { type: 'html', content: htmlResource.textContent.trim() };
+    }
 
-      // Create video element
-      this.videoElement = document.createElement('video');
-      this.videoElement.src = this.vastData.mediaFile;
-      this.videoElement.width = this.options.width;
-      this.videoElement.height = this.options.height;
-      this.videoElement.muted = this.options.muted;
-      this.videoElement.playsInline = true;
-      this.videoElement.style.width = '100%';
-      this.videoElement.style.height = '100%';
-      this.videoElement.style.objectFit = 'contain';
+    return null;
+  }
 
-      // Click handler
-      this.videoElement.addEventListener('click', () => {
-        if (this.vastData.clickThrough) {
-          window.open(this.vastData.clickThrough, '_blank');
-          this.fireTracking('click');
-        }
-      });
+  /**
+   * Build the element for a creative resource. IFrame and HTML resources
+   * run in a sandboxed frame so they can't touch the publisher page.
+   */
+  function createResourceElement(resource, width, height) {
+    if (resource.type === 'static') {
+      // Only image static resources are supported (no JS/Flash)
+      if (resource.creativeType && !resource.creativeType.startsWith('image/')) return null;
 
-      // Progress tracking
-      this.videoElement.addEventListener('timeupdate', () => this.onTimeUpdate());
-      this.videoElement.addEventListener('ended', () => this.onComplete());
-      this.videoElement.addEventListener('play', () => this.onStart());
+      const img = document.createElement('img');
+      img.src = resource.content;
+      img.alt = '';
+      if (width) img.width = width;
+      if (height) img.height = height;
+      img.style.display = 'block';
+      return img;
+    }
 
-      this.container.appendChild(this.videoElement);
+    const frame = document.createElement('iframe');
+    frame.setAttribute('sandbox', 'allow-scripts allow-popups allow-popups-to-escape-sandbox');
+    frame.setAttribute('scrolling', 'no');
+    frame.width = width || '';
+    frame.height = height || '';
+    frame.style.border = 'none';
+    frame.style.display = 'block';
+    if (resource.type === 'iframe') {
+      frame.src = resource.content;
+    } else {
+      frame.srcdoc = resource.content;
+    }
+    return frame;
+  }
 
-      // Add skip button if skippable
-      if (this.vastData.skipOffset !== null) {
-        this.createSkipButton();
-      }
+  /**
+   * Default caption look; publishers can override any of it via captionStyle
+   */
+  const DEFAULT_CAPTION_STYLE = {
+    color: '#fff',
+    backgroundColor: 'rgba(0,0,0,0.75)',
+    fontSize: '16px',
+    fontFamily: 'sans-serif',
+  };
 
-      // Add "Ad" label
-      const adLabel = document.createElement('div');
-      adLabel.textContent = 'Ad';
-      adLabel.style.cssText = 'position:absolute;top:10px;left:10px;background:rgba(0,0,0,0.7);color:#fff;padding:4px 8px;font-size:12px;border-radius:4px;';
-      this.container.appendChild(adLabel);
+  /**
+   * VAST tracking events forwarded to verification scripts, by their
+   * Open Measurement name
+   */
+  const VERIFICATION_EVENTS = {
+    start: 'start',
+    firstQuartile: 'firstQuartile',
+    midpoint: 'midpoint',
+    thirdQuartile: 'thirdQuartile',
+    complete: 'complete',
+    pause: 'pause',
+    resume: 'resume',
+    skip: 'skipped',
+    mute: 'volumeChange',
+    unmute: 'volumeChange',
+    fullscreen: 'playerStateChange',
+    exitFullscreen: 'playerStateChange',
+    click: 'adUserInteraction',
+  };
 
-      // Fire impression
-      if (this.vastData.impressionUrl) {
-        this.firePixel(this.vastData.impressionUrl);
-      }
+  let playerCount = 0;
 
-      // Autoplay
-      if (this.options.autoplay) {
-        this.videoElement.play().catch(() => {});
+  /**
+   * Text content of every node matching selector, empties dropped
+   */
+  function textList(doc, selector) {
+    return [...doc.querySelectorAll(selector)]
+      .map(node => node.textContent.trim())
+      .filter(Boolean);
+  }
+
+  // ============================================================
+  // EVENTS
+  // ============================================================
+
+  /**
+   * Event type for a request that ended without an ad
+   */
+  function failureEvent(error) {
+    return error?.code === VAST_ERROR.NO_ADS ? 'noFill' : 'error';
+  }
+
+  // ============================================================
+  // HLS STREAMING
+  // ============================================================
+
+  const HLS_MIME = 'application/vnd.apple.mpegurl';
+
+  /**
+   * True for HLS MediaFiles (by MIME type, or .m3u8 URL when untyped)
+   */
+  function isHlsFile(file) {
+    return /mpegurl/i.test(file.type || '') || (!file.type && /\.m3u8(\?|$)/i.test(file.url || ''));
+  }
+
+  /**
+   * Parse "KEY=value,KEY2="quoted,value"" tag attributes
+   */
+  function parseM3u8Attributes(text) {
+    const attrs = {};
+    text.replace(/([A-Z0-9-]+)=("[^"]*"|[^,]*)/g, (match, key, value) => {
+      attrs[key] = value.replace(/^"|"$/g, '');
+    });
+    return attrs;
+  }
+
+  /**
+   * Parse an HLS playlist. Master playlists give `variants`, media
+   * playlists give `segments` (plus the fMP4 `initSegment`, if any).
+   * URIs are resolved against the playlist URL.
+   */
+  function parseM3u8(text, baseUrl) {
+    const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    if (lines[0] !== '#EXTM3U') {
+      throw new Error('Not an HLS playlist');
+    }
+
+    const resolve = (uri) => new URL(uri, baseUrl).href;
+    const playlist = { variants: [], segments: [], initSegment: null, encrypted: false, endList: false };
+    let pending = null;
+
+    lines.slice(1).forEach(line => {
+      if (line.startsWith('#EXT-X-STREAM-INF:')) {
+        const attrs = parseM3u8Attributes(line.slice(18));
+        const [width, height] = (attrs.RESOLUTION || '').split('x').map(Number);
+        pending = {
+          bandwidth: (parseInt(attrs.BANDWIDTH) || 0) / 1000, // kbps, like MediaFile@bitrate
+          width: width || 0,
+          height: height || 0,
+          codecs: attrs.CODECS || ''
+        };
+      } else if (line.startsWith('#EXTINF:')) {
+        pending = { duration: parseFloat(line.slice(8)) || 0 };
+      } else if (line.startsWith('#EXT-X-MAP:')) {
+        playlist.initSegment = resolve(parseM3u8Attributes(line.slice(11)).URI);
+      } else if (line.startsWith('#EXT-X-KEY:')) {
+        playlist.encrypted = playlist.encrypted || parseM3u8Attributes(line.slice(11)).METHOD !== 'NONE';
+      } else if (line === '#EXT-X-ENDLIST') {
+        playlist.endList = true;
+      } else if (!line.startsWith('#') && pending) {
+        pending.url = resolve(line);
+        (pending.bandwidth !== undefined ? playlist.variants : playlist.segments).push(pending);
+        pending = null;
       }
+    });
+
+    return playlist;
+  }
+
+  /**
+   * Plays an HLS stream through Media Source Extensions for browsers
+   * without native HLS. Handles fMP4 (CMAF) renditions of on-demand
+   * streams and picks the rendition for each segment from measured
+   * throughput. MPEG-TS and encrypted streams are rejected so the player
+   * can fall back to another MediaFile.
+   */
+  class HlsStream {
+    constructor(video, url, options = {}) {
+      this.video = video;
+      this.url = new URL(url, window.location.href).href;
+
+      this.options = {
+        bandwidth: options.bandwidth || Infinity, // kbps estimate to start from
+        maxWidth: options.maxWidth || Infinity, // largest useful rendition width
+        bufferAhead: options.bufferAhead || 30, // seconds to buffer ahead of playback
+        timeout: options.timeout || 8000, // ms per playlist/segment request
+        onError: options.onError || null,
+        ...options
+      };
+
+      this.variants = [];
+      this.variant = null;
+      this.playlists = {};
+      this.bandwidth = this.options.bandwidth;
+      this.mediaSource = null;
+      this.sourceBuffer = null;
+      this.objectUrl = null;
+      this.destroyed = false;
+      this.onTimeUpdate = null;
     }
 
-    createSkipButton() {
-      this.skipButton = document.createElement('button');
-      this.skipButton.style.cssText = `
-        position: absolute;
-        bottom: 20px;
-        right: 20px;
-        background: rgba(0,0,0,0.8);
-        color: #fff;
-        border: 1px solid #fff;
-        padding: 10px 20px;
-        font-size: 14px;
-        cursor: pointer;
-        border-radius: 4px;
-        transition: opacity 0.3s;
-      `;
-      this.updateSkipButton();
-      this.skipButton.addEventListener('click', () => this.skip());
-      this.container.appendChild(this.skipButton);
+    static isSupported() {
+      return typeof MediaSource !== 'undefined' && typeof MediaSource.isTypeSupported === 'function';
     }
 
-    updateSkipButton() {
-      if (!this.skipButton) return;
+    async start() {
+      try {
+        const master = parseM3u8(await this.fetchText(this.url), this.url);
+        this.variants = master.variants.length
+          ? master.variants.sort((a, b) => a.bandwidth - b.bandwidth)
+          : [{ url: this.url, bandwidth: 0, width: 0, height: 0, codecs: '' }];
+        this.variants = this.variants.filter(v => MediaSource.isTypeSupported(this.mimeType(v)));
+        if (!this.variants.length) {
+          throw new VastError(VAST_ERROR.MEDIA_UNSUPPORTED, 'No HLS rendition this browser can decode');
+        }
 
-      const remaining = Math.ceil(this.vastData.skipOffset - this.currentTime);
-      if (remaining > 0) {
-        this.skipButton.textContent = `Skip in ${remaining}s`;
-        this.skipButton.disabled = true;
-        this.skipButton.style.opacity = '0.5';
-      } else {
-        this.skipButton.textContent = 'Skip Ad →';
-        this.skipButton.disabled = false;
-        this.skipButton.style.opacity = '1';
+        this.variant = this.pickVariant();
+        const playlist = await this.loadPlaylist(this.variant);
+
+        this.mediaSource = new MediaSource();
+        this.objectUrl = URL.createObjectURL(this.mediaSource);
+        this.video.src = this.objectUrl;
+        await new Promise(resolve => this.mediaSource.addEventListener('sourceopen', resolve, { once: true }));
+        if (this.destroyed) return;
+
+        this.mediaSource.duration = playlist.segments.reduce((sum, s) => sum + s.duration, 0);
+        this.sourceBuffer = this.mediaSource.addSourceBuffer(this.mimeType(this.variant));
+        await this.append(await this.fetchData(playlist.initSegment));
+        await this.feed(playlist);
+      } catch (error) {
+        if (this.destroyed) return;
+        if (this.options.onError) {
+          this.options.onError(error instanceof VastError
+            ? error
+            : new VastError(VAST_ERROR.MEDIA_NOT_FOUND, `HLS stream failed: ${error.message}`));
+        }
       }
     }
 
-    onStart() {
-      if (!this.trackingFired.start) {
-        this.fireTracking('start');
-        this.trackingFired.start = true;
+    mimeType(variant) {
+      return `video/mp4; codecs="${variant.codecs || 'avc1.42E01E,mp4a.40.2'}"`;
+    }
+
+    /**
+     * Best rendition the measured throughput can sustain (with 20%
+     * headroom) that isn't wider than needed; the lowest one otherwise
+     */
+    pickVariant() {
+      const usable = this.variants.filter(v =>
+        v.bandwidth <= this.bandwidth * 0.8 && (!v.width || v.width <= this.options.maxWidth * 1.5));
+      return usable[usable.length - 1] || this.variants[0];
+    }
+
+    async loadPlaylist(variant) {
+      if (!this.playlists[variant.url]) {
+        const playlist = parseM3u8(await this.fetchText(variant.url), variant.url);
+        if (playlist.encrypted) {
+          throw new VastError(VAST_ERROR.MEDIA_UNSUPPORTED, 'Encrypted HLS streams are not supported');
+        }
+        if (!playlist.initSegment) {
+          throw new VastError(VAST_ERROR.MEDIA_UNSUPPORTED, 'HLS stream is not fMP4 (needs native HLS)');
+        }
+        this.playlists[variant.url] = playlist;
       }
+      return this.playlists[variant.url];
     }
 
-    onTimeUpdate() {
-      this.currentTime = this.videoElement.currentTime;
-      const duration = this.videoElement.duration;
-      const percent = (this.currentTime / duration) * 100;
+    /**
+     * Append segments in order, re-picking the rendition before each one
+     * and pausing while enough is buffered ahead of playback
+     */
+    async feed(playlist) {
+      for (let index = 0; index < playlist.segments.length; index++) {
+        await this.waitForBufferSpace();
+        if (this.destroyed) return;
 
-      this.updateSkipButton();
+        const next = this.pickVariant();
+        if (next !== this.variant) {
+          const nextPlaylist = await this.loadPlaylist(next);
+          if (this.sourceBuffer.changeType) this.sourceBuffer.changeType(this.mimeType(next));
+          await this.append(await this.fetchData(nextPlaylist.initSegment));
+          this.variant = next;
+          playlist = nextPlaylist;
+        }
 
-      // Fire quartile events
-      if (percent >= 25 && !this.trackingFired.firstQuartile) {
-        this.fireTracking('firstQuartile');
-        this.trackingFired.firstQuartile = true;
-      }
-      if (percent >= 50 && !this.trackingFired.midpoint) {
-        this.fireTracking('midpoint');
-        this.trackingFired.midpoint = true;
+        const segment = playlist.segments[index];
+        if (!segment) break;
+        await this.append(await this.fetchData(segment.url, true));
       }
-      if (percent >= 75 && !this.trackingFired.thirdQuartile) {
-        this.fireTracking('thirdQuartile');
-        this.trackingFired.thirdQuartile = true;
+
+      if (!this.destroyed && this.mediaSource.readyState === 'open') {
+        this.mediaSource.endOfStream();
       }
     }
 
-    onComplete() {
-      this.fireTracking('complete');
-      if (this.options.onComplete) this.options.onComplete();
-      if (this.options.onReward) this.options.onReward();
+    waitForBufferSpace() {
+      const buffered = this.video.buffered;
+      const end = buffered.length ? buffered.end(buffered.length - 1) : 0;
+      if (end - this.video.currentTime < this.options.bufferAhead) return Promise.resolve();
+
+      return new Promise(resolve => {
+        this.onTimeUpdate = () => {
+          if (this.destroyed || end - this.video.currentTime < this.options.bufferAhead) {
+            this.video.removeEventListener('timeupdate', this.onTimeUpdate);
+            this.onTimeUpdate = null;
+            resolve();
+          }
+        };
+        this.video.addEventListener('timeupdate', this.onTimeUpdate);
+      });
     }
 
-    skip() {
-      this.fireTracking('skip');
-      if (this.options.onSkip) this.options.onSkip();
-      this.destroy();
+    append(data) {
+      return new Promise((resolve, reject) => {
+        if (this.destroyed) return resolve();
+        const done = () => {
+          this.sourceBuffer.removeEventListener('updateend', done);
+          this.sourceBuffer.removeEventListener('error', fail);
+          resolve();
+        };
+        const fail = () => {
+          this.sourceBuffer.removeEventListener('updateend', done);
+          this.sourceBuffer.removeEventListener('error', fail);
+          reject(new VastError(VAST_ERROR.MEDIA_DISPLAY, 'HLS segment could not be decoded'));
+        };
+        this.sourceBuffer.addEventListener('updateend', done);
+        this.sourceBuffer.addEventListener('error', fail);
+        this.sourceBuffer.appendBuffer(data);
+      });
     }
 
-    fireTracking(event) {
-      const url = this.vastData.trackingEvents[event];
-      if (url) this.firePixel(url);
-      if (event === 'click' && this.vastData.clickTracking) {
-        this.firePixel(this.vastData.clickTracking);
+    async request(url) {
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), this.options.timeout);
+
+      try {
+        const response = await fetch(url, { signal: controller.signal });
+        if (!response.ok) throw new Error(`HTTP ${response.status} for ${url}`);
+        return response;
+      } catch (error) {
+        if (error.name === 'AbortError') {
+          throw new VastError(VAST_ERROR.MEDIA_TIMEOUT, `HLS request timed out: ${url}`);
+        }
+        throw error;
+      } finally {
+        clearTimeout(timer);
       }
     }
 
-    firePixel(url) {
-      const img = new Image();
-      img.src = url;
+    async fetchText(url) {
+      return (await this.request(url)).text();
+    }
+
+    /**
+     * Fetch a segment; media segments also update the throughput estimate
+     */
+    async fetchData(url, measure = false) {
+      const started = performance.now();
+      const data = await (await this.request(url)).arrayBuffer();
+      const elapsed = Math.max(performance.now() - started, 1);
+
+      if (measure) {
+        const kbps = (data.byteLength * 8) / elapsed; // bits per ms = kbps
+        this.bandwidth = this.bandwidth === Infinity ? kbps : this.bandwidth * 0.7 + kbps * 0.3;
+      }
+      return data;
     }
 
     destroy() {
-      if (this.videoElement) {
-        this.videoElement.pause();
-        this.videoElement.src = '';
+      this.destroyed = true;
+      if (this.onTimeUpdate) {
+        this.video.removeEventListener('timeupdate', this.onTimeUpdate);
+      }
+      if (this.objectUrl) {
+        URL.revokeObjectURL(this.objectUrl);
+        this.objectUrl = null;
       }
-      this.container.innerHTML = '';
     }
   }
 
   // ============================================================
-  // INTERSTITIAL AD
+  // INTERACTIVE CREATIVES (SIMID / VPAID)
   // ============================================================
 
-  class BuzzerInterstitial {
+  /**
+   * SIMID stop codes sent with SIMID:Player:adStopped
+   */
+  const SIMID_STOP = {
+    UNSPECIFIED: 0,
+    USER_INITIATED: 1,
+    MEDIA_PLAYBACK_COMPLETE: 2,
+    PLAYER_INITIATED: 3,
+    CREATIVE_INITIATED: 4,
+  };
+
+  /**
+   * One SIMID session with a creative running in a sandboxed iframe.
+   * Handles the createSession/init handshake, request/resolve bookkeeping
+   * and the load timeout; everything else is routed to `onRequest`.
+   */
+  class SimidSession {
     constructor(options = {}) {
       this.options = {
-        zoneId: options.zoneId,
-        onClose: options.onClose || null,
-        closeAfter: options.closeAfter || 5, // seconds before close button appears
+        src: options.src || null, // creative URL, or...
+        srcdoc: options.srcdoc || null, // ...inline creative HTML
+        timeout: options.timeout || 5000, // ms for createSession + init
+        environmentData: options.environmentData || {},
+        creativeData: options.creativeData || {},
+        onRequest: options.onRequest || (() => { throw new Error('Unsupported'); }),
         ...options
       };
 
-      this.overlay = null;
-      this.closeButton = null;
+      this.frame = null;
+      this.sessionId = null;
+      this.messageId = 0;
+      this.pending = {};
+      this.handshake = null; // { resolve, reject } until init is accepted
       this.timer = null;
+      this.onMessage = (event) => this.handleMessage(event);
     }
 
-    async show() {
-      // Create overlay
+    /**
+     * Create the frame inside `parent` (before `before`, if given).
+     * Resolves once the creative has accepted SIMID:Player:init.
+     */
+    start(parent, before = null) {
+      this.frame = document.createElement('iframe');
+      this.frame.setAttribute('sandbox', 'allow-scripts allow-popups allow-popups-to-escape-sandbox');
+      this.frame.setAttribute('allow', 'autoplay');
+      this.frame.style.cssText = 'position:absolute;inset:0;width:100%;height:100%;border:none;z-index:1;background:transparent;';
+
+      window.addEventListener('message', this.onMessage);
+
+      const ready = new Promise((resolve, reject) => {
+        this.handshake = { resolve, reject };
+        this.timer = setTimeout(() => {
+          this.settleHandshake('reject', new Error(`Interactive creative did not initialise within ${this.options.timeout}ms`));
+        }, this.options.timeout);
+      });
+
+      if (this.options.srcdoc) {
+        this.frame.srcdoc = this.options.srcdoc;
+      } else {
+        this.frame.src = this.options.src;
+      }
+      parent.insertBefore(this.frame, before);
+
+      return ready;
+    }
+
+    handleMessage(event) {
+      if (!this.frame || event.source !== this.frame.contentWindow) return;
+
+      let message = event.data;
+      if (typeof message === 'string') {
+        try {
+          message = JSON.parse(message);
+        } catch (e) {
+          return;
+        }
+      }
+      if (!message || !message.type) return;
+
+      if (message.type === 'createSession') {
+        this.sessionId = message.sessionId;
+        this.respond(message, 'resolve');
+        this.request('SIMID:Player:init', {
+          environmentData: this.options.environmentData,
+          creativeData: this.options.creativeData
+        }).then(
+          () => this.settleHandshake('resolve'),
+          (error) => this.settleHandshake('reject', new Error(`Interactive creative rejected init: ${error?.message || 'unknown'}`))
+        );
+        return;
+      }
+
+      // A creative that can't even load (e.g. the VPAID bridge when the
+      // script 404s) reports it before createSession, without our session id
+      if (message.type === 'SIMID:Creative:fatalError' && this.handshake &&
+          (this.sessionId === null || message.sessionId === this.sessionId)) {
+        this.settleHandshake('reject', new Error(message.args?.errorMessage || 'Interactive creative failed to load'));
+        return;
+      }
+
+      if (message.sessionId !== this.sessionId) return;
+
+      if (message.type === 'resolve' || message.type === 'reject') {
+        const pending = this.pending[message.args?.messageId];
+        if (!pending) return;
+        delete this.pending[message.args.messageId];
+        if (message.type === 'resolve') pending.resolve(message.args.value);
+        else pending.reject(message.args.value || {});
+        return;
+      }
+
+      Promise.resolve()
+        .then(() => this.options.onRequest(message.type, message.args || {}))
+        .then(
+          (value) => this.respond(message, 'resolve', value),
+          (error) => this.respond(message, 'reject', { errorCode: 1, message: error?.message })
+        );
+    }
+
+    /**
+     * Fire-and-forget message (SIMID:Media:* events are never resolved)
+     */
+    post(type, args = {}) {
+      if (!this.frame?.contentWindow) return null;
+
+      const messageId = ++this.messageId;
+      this.frame.contentWindow.postMessage(JSON.stringify({
+        sessionId: this.sessionId,
+        messageId,
+        timestamp: Date.now(),
+        type,
+        args
+      }), '*');
+      return messageId;
+    }
+
+    /**
+     * Message that expects the creative to resolve or reject it
+     */
+    request(type, args = {}) {
+      return new Promise((resolve, reject) => {
+        const messageId = this.post(type, args);
+        if (messageId === null) {
+          reject(new Error('Interactive creative is gone'));
+          return;
+        }
+        this.pending[messageId] = { resolve, reject };
+      });
+    }
+
+    respond(message, type, value) {
+      this.post(type, { messageId: message.messageId, value });
+    }
+
+    settleHandshake(method, value) {
+      clearTimeout(this.timer);
+      const handshake = this.handshake;
+      this.handshake = null;
+      if (handshake) handshake[method](value);
+    }
+
+    destroy() {
+      clearTimeout(this.timer);
+      this.handshake = null;
+      window.removeEventListener('message', this.onMessage);
+      if (this.frame) {
+        this.frame.remove();
+        this.frame = null;
+      }
+      this.pending = {};
+    }
+  }
+
+  /**
+   * Bridge page for legacy VPAID 2.0 JavaScript creatives. It loads the
+   * VPAID script inside the sandboxed frame (with its own video slot) and
+   * speaks SIMID to the player, forwarding VPAID events as VPAID:<Event>.
+   */
+  function vpaidBridgeHtml(scriptUrl) {
+    const src = JSON.stringify(scriptUrl).replace(/</g, '\\u003c');
+
+    return `<!DOCTYPE html>
+<html><head><meta charset="UTF-8"></head>
+<body style="margin:0;background:#000;overflow:hidden;">
+<div id="slot" style="position:absolute;inset:0;"></div>
+<video id="video-slot" playsinline style="position:absolute;inset:0;width:100%;height:100%;"></video>
+<script>
+(function() {
+  var sessionId = 'vpaid-' + Math.random().toString(36).slice(2);
+  var messageId = 0;
+  var ad = null;
+  var initMessage = null;
+  var started = false;
+  var EVENTS = ['AdLoaded', 'AdStarted', 'AdStopped', 'AdSkipped', 'AdImpression', 'AdVideoStart',
+    'AdVideoFirstQuartile', 'AdVideoMidpoint', 'AdVideoThirdQuartile', 'AdVideoComplete',
+    'AdClickThru', 'AdPaused', 'AdPlaying', 'AdUserClose', 'AdError'];
+
+  function send(type, args) {
+    parent.postMessage(JSON.stringify({
+      sessionId: sessionId, messageId: ++messageId, timestamp: Date.now(), type: type, args: args || {}
+    }), '*');
+  }
+  function respond(message, type, value) {
+    send(type, { messageId: message.messageId, value: value });
+  }
+
+  window.addEventListener('message', function(event) {
+    if (event.source !== parent) return;
+    var message;
+    try { message = JSON.parse(event.data); } catch (e) { return; }
+    if (message.sessionId !== sessionId) return;
+
+    switch (message.type) {
+      case 'SIMID:Player:init':
+        initMessage = message;
+        var env = message.args.environmentData || {};
+        var size = env.videoDimensions || { width: 640, height: 360 };
+        ad.initAd(size.width, size.height, 'normal', -1,
+          { AdParameters: (message.args.creativeData || {}).adParameters || '' },
+          { slot: document.getElementById('slot'), videoSlot: document.getElementById('video-slot'), videoSlotCanAutoPlay: true });
+        break;
+      case 'SIMID:Player:startCreative':
+        ad.startAd();
+        respond(message, 'resolve');
+        break;
+      case 'SIMID:Player:adSkipped':
+        ad.skipAd();
+        break;
+      case 'SIMID:Player:adStopped':
+        ad.stopAd();
+        break;
+    }
+  });
+
+  var script = document.createElement('script');
+  script.src = ${src};
+  script.onload = function() {
+    if (typeof window.getVPAIDAd !== 'function') {
+      send('SIMID:Creative:fatalError', { errorCode: 901, errorMessage: 'getVPAIDAd() missing' });
+      return;
+    }
+    ad = window.getVPAIDAd();
+    ad.handshakeVersion('2.0');
+    EVENTS.forEach(function(name) {
+      ad.subscribe(function(url, id, playerHandles) {
+        if (name === 'AdLoaded' && initMessage) {
+          respond(initMessage, 'resolve');
+          return;
+        }
+        if (name === 'AdError' && initMessage && !started) {
+          respond(initMessage, 'reject', { errorCode: 901, message: String(url) });
+        }
+        if (name === 'AdStarted') started = true;
+        send('VPAID:' + name, { url: typeof url === 'string' ? url : '', playerHandles: playerHandles !== false });
+      }, name);
+    });
+    send('createSession');
+  };
+  script.onerror = function() {
+    send('SIMID:Creative:fatalError', { errorCode: 901, errorMessage: 'VPAID script failed to load' });
+  };
+  document.body.appendChild(script);
+})();
+<\/script>
+</body></html>`;
+  }
+
+  // ============================================================
+  // VAST VIDEO PLAYER
+  // ============================================================
+
+  class BuzzerVideoPlayer extends BuzzerEmitter {
+    constructor(container, options = {}) {
+      super('video');
+      options = { ...configDefaults('video'), ...options };
+      this.container = typeof container === 'string'
+        ? document.querySelector(container)
+        : container;
+
+      this.options = {
+        vastUrl: options.vastUrl || null,
+        vastXml: options.vastXml || null, // inline VAST document instead of vastUrl
+        width: options.width || 640,
+        height: options.height || 360,
+        autoplay: options.autoplay ?? false,
+        muted: options.muted ?? true,
+        mutedAutoplayFallback: options.mutedAutoplayFallback ?? true, // retry muted if unmuted autoplay is blocked
+        controls: options.controls ?? false, // opt-in play / mute / volume / progress / captions bar
+        fluid: options.fluid ?? false, // fill container width, keep aspect ratio
+        aspectRatio: options.aspectRatio || null, // e.g. '16 / 9', defaults to width / height
+        onComplete: options.onComplete || null,
+        onSkip: options.onSkip || null,
+        onError: options.onError || null,
+        onReward: options.onReward || null,
+        onAutoplay: options.onAutoplay || null, // ('played' | 'muted' | 'blocked')
+        onViewable: options.onViewable || null, // MRC viewable impression (needs buzzer-viewability.js)
+        companionSlots: options.companionSlots || '[data-buzzer-companion]', // selector or elements
+        showCaptions: options.showCaptions ?? null, // null = on while muted
+        captionStyle: options.captionStyle || {}, // ::cue styles, e.g. { color, fontSize }
+        skipOffset: options.skipOffset || 5,
+        maxWrapperDepth: options.maxWrapperDepth || 5,
+        vastTimeout: options.vastTimeout || 5000, // ms for the VAST request, and for each ad's whole wrapper chain
+        mediaTimeout: options.mediaTimeout || 8000, // ms of stalled playback before giving up
+        interactive: options.interactive ?? true, // run SIMID / VPAID creatives
+        interactiveTimeout: options.interactiveTimeout || 5000, // ms for the creative to initialise
+        rewarded: options.rewarded ?? false, // no seeking, pause while hidden, only watched time counts
+        cacheMedia: options.cacheMedia ?? false, // preload() downloads progressive media into a blob
+        ...options
+      };
+
+      this.videoElement = null;
+      this.skipButton = null;
+      this.vastData = null;
+      this.wrapperChain = [];
+      this.adQueue = [];
+      this.standaloneAds = [];
+      this.podIndex = 0;
+      this.adsCompleted = 0;
+      this.lastError = null;
+      this.adLabel = null;
+      this.controls = null;
+      this.playPrompt = null;
+      this.simid = null;
+      this.verification = null;
+      this.viewability = null;
+      this.stream = null;
+      this.preloadPromise = null;
+      this.warm = null; // { video, stream } buffered by preload()
+      this.mediaCacheUrl = null;
+      this.captionClass = `buzzer-cc-${++playerCount}`;
+      this.captionsOn = this.options.showCaptions ?? this.options.muted;
+      this.captionTrack = null;
+      this.captionUrl = null;
+      this.companionSlots = [];
+      this.icons = [];
+      this.mediaCandidates = [];
+      this.mediaIndex = 0;
+      this.currentTime = 0;
+      this.trackingFired = {};
+      this.progressFired = new Set();
+      this.isMuted = false;
+      this.isFullscreen = false;
+      this.destroyed = false;
+      this.stallTimer = null;
+      this.mediaListeners = null; // aborts the current ad element's listeners
+      this.watchedTime = 0; // seconds actually watched, whole pod
+      this.adWatchedTime = 0; // seconds actually watched, current ad
+      this.pausedWhileHidden = false;
+      this.onFullscreenChange = () => this.handleFullscreenChange();
+      this.onVisibilityChange = () => this.handleVisibilityChange();
+    }
+
+    /**
+     * Fetch the VAST and start playing. Resolves once an ad is on screen
+     * (or the player was closed first); rejects with a VastError when no
+     * ad could be played.
+     */
+    async load() {
+      if (!this.options.vastUrl && !this.options.vastXml) {
+        console.error('No VAST URL provided');
+        throw new VastError(VAST_ERROR.UNDEFINED, 'No VAST URL provided');
+      }
+
+      try {
+        await this.preload();
+        if (this.destroyed) return; // closed while the VAST was loading
+        if (await this.playNextAd()) return;
+
+      } catch (error) {
+        if (this.destroyed) return;
+        throw this.handleError(error);
+      }
+
+      // Every ad failed - finishPod() has reported it
+      throw this.lastError;
+    }
+
+    /**
+     * Fetch the VAST and get the first playable ad ready - wrappers
+     * resolved, media chosen and buffering - without showing anything.
+     * Resolves true once an ad can start immediately, false if none is
+     * playable. load() picks up where this left off.
+     */
+    preload() {
+      if (!this.preloadPromise) {
+        this.emit('request', { vastUrl: this.options.vastUrl || null });
+        this.preloadPromise = this.prepareFirstAd().then(ready => {
+          if (ready) this.emit('loaded');
+          return ready;
+        });
+      }
+      return this.preloadPromise;
+    }
+
+    async prepareFirstAd() {
+      const vast = this.options.vastXml
+        ? this.parseVastDocument(this.options.vastXml)
+        : await this.fetchVastDocument(this.options.vastUrl);
+
+      // Ads with a sequence attribute form a pod; the rest are standalone
+      // ads that can stand in for any pod ad that fails
+      const pod = vast.ads
+        .filter(ad => ad.sequence)
+        .sort((a, b) => a.sequence - b.sequence);
+      this.standaloneAds = vast.ads.filter(ad => !ad.sequence);
+      this.adQueue = pod.length ? pod : [this.standaloneAds.shift()];
+      this.podIndex = 0;
+      this.adsCompleted = 0;
+      this.watchedTime = 0;
+
+      while (this.podIndex < this.adQueue.length) {
+        const ad = this.adQueue[this.podIndex];
+        try {
+          ad.prepared = await this.prepareAd(ad);
+          if (ad.prepared.mediaCandidates.length) await this.warmMedia(ad.prepared.mediaCandidates[0]);
+          return true;
+        } catch (error) {
+          this.reportAdError(error);
+          this.replaceFailedAd();
+        }
+      }
+
+      return false;
+    }
+
+    /**
+     * Resolve and render the ad at podIndex. An ad that fails is replaced
+     * by the next standalone ad, or dropped if none are left. Resolves
+     * false once the pod is over.
+     */
+    async playNextAd() {
+      while (this.podIndex < this.adQueue.length) {
+        try {
+          await this.startAd(this.adQueue[this.podIndex]);
+          return true;
+        } catch (error) {
+          this.reportAdError(error);
+          this.replaceFailedAd();
+        }
+      }
+
+      this.finishPod();
+      return false;
+    }
+
+    async startAd(ad) {
+      this.trackingFired = {};
+      this.progressFired = new Set();
+      this.currentTime = 0;
+      this.adWatchedTime = 0;
+
+      const prepared = ad.prepared || await this.prepareAd(ad);
+      ad.prepared = null;
+      this.vastData = prepared.vastData;
+      this.wrapperChain = prepared.wrapperChain;
+      this.mediaCandidates = prepared.mediaCandidates;
+      this.mediaIndex = 0;
+      this.adQueue[this.podIndex].duration = this.vastData.duration;
+
+      if (prepared.vpaidFile) {
+        this.renderVpaid(prepared.vpaidFile);
+        return;
+      }
+
+      this.useMediaFile(this.mediaCandidates[0]);
+      this.render();
+    }
+
+    /**
+     * Follow any wrapper redirects down to the inline ad and pick its
+     * media; throws a VastError if there's nothing we can play
+     */
+    async prepareAd(ad) {
+      // Ads that came from a wrapper's response start below its chain
+      this.wrapperChain = ad.parents ? [...ad.parents.chain] : [];
+      this.vastData = null;
+      this.vastData = await this.resolveAd(ad, ad.parents?.depth || 0);
+
+      if (!this.vastData.mediaFiles.length) {
+        throw new VastError(VAST_ERROR.MEDIA_NOT_FOUND, 'No media file in VAST response');
+      }
+
+      const mediaCandidates = this.rankMediaFiles(this.vastData.mediaFiles);
+
+      // Legacy VPAID creatives bring their own media - only used when
+      // there's nothing we can play directly
+      const vpaidFile = this.vastData.mediaFiles.find(f =>
+        f.apiFramework === 'VPAID' && /javascript/.test(f.type || ''));
+      // (never for rewarded ads - we couldn't tell how much was watched)
+      const useVpaid = !mediaCandidates.length && vpaidFile && this.options.interactive && !this.options.rewarded;
+
+      if (!mediaCandidates.length && !useVpaid) {
+        throw new VastError(VAST_ERROR.MEDIA_UNSUPPORTED, 'No playable media file in VAST response');
+      }
+
+      return {
+        vastData: this.vastData,
+        wrapperChain: this.wrapperChain,
+        mediaCandidates,
+        vpaidFile: useVpaid ? vpaidFile : null
+      };
+    }
+
+    /**
+     * Start buffering a preloaded ad's media in a detached video element
+     * that render() adopts. With cacheMedia, progressive files are
+     * downloaded whole into a blob first.
+     */
+    async warmMedia(file) {
+      const video = document.createElement('video');
+      video.preload = 'auto';
+      video.muted = this.options.muted;
+      this.warm = { video, stream: null };
+
+      if (this.options.cacheMedia && !isHlsFile(file)) {
+        try {
+          const response = await fetch(file.url);
+          if (!response.ok) throw new Error(`HTTP ${response.status}`);
+          const blob = await response.blob();
+          this.revokeMediaCache();
+          this.mediaCacheUrl = URL.createObjectURL(blob);
+          file.cachedUrl = this.mediaCacheUrl;
+        } catch (error) {
+          console.warn('Media caching failed, streaming instead:', error);
+        }
+        if (!this.warm || this.warm.video !== video) return;
+      }
+
+      // loadMedia() works on the current element and stream
+      const current = { video: this.videoElement, stream: this.stream };
+      this.videoElement = video;
+      this.stream = null;
+      this.loadMedia(file);
+      this.warm.stream = this.stream;
+      this.videoElement = current.video;
+      this.stream = current.stream;
+    }
+
+    revokeMediaCache() {
+      if (!this.mediaCacheUrl) return;
+      URL.revokeObjectURL(this.mediaCacheUrl);
+      this.mediaCacheUrl = null;
+    }
+
+    replaceFailedAd() {
+      const fallback = this.standaloneAds.shift();
+      if (fallback) {
+        this.adQueue[this.podIndex] = fallback;
+      } else {
+        this.podIndex++;
+      }
+    }
+
+    /**
+     * Current ad failed during playback - move on within the pod
+     */
+    failAd(error) {
+      this.reportAdError(error);
+      this.replaceFailedAd();
+      this.playNextAd();
+    }
+
+    finishPod() {
+      this.finishVerification();
+      this.finishViewability();
+      if (!this.adsCompleted) {
+        this.emitFailure(this.lastError);
+        return;
+      }
+
+      this.emit('complete');
+      if (this.options.onComplete) this.options.onComplete();
+      if (this.options.onReward) this.options.onReward();
+    }
+
+    /**
+     * Fire <Error> pixels for the current ad at every wrapper level
+     * with the VAST error code
+     */
+    reportAdError(error) {
+      const vastError = error instanceof VastError
+        ? error
+        : new VastError(VAST_ERROR.UNDEFINED, error.message);
+
+      clearTimeout(this.stallTimer);
+      console.error('VAST error:', vastError);
+      this.fireError(vastError.code);
+      this.lastError = vastError;
+      return vastError;
+    }
+
+    /**
+     * Report a failure that ends the whole request and hand a
+     * VastError to onError
+     */
+    handleError(error) {
+      const vastError = this.reportAdError(error);
+      this.emitFailure(vastError);
+      return vastError;
+    }
+
+    /**
+     * The request ended without an ad: noFill for an empty response,
+     * error for anything else, and onError either way
+     */
+    emitFailure(vastError) {
+      this.emit(failureEvent(vastError), { error: vastError });
+      if (this.options.onError) this.options.onError(vastError);
+    }
+
+    /**
+     * Follow <Wrapper> redirects down to the inline ad.
+     * Every wrapper level is kept in wrapperChain so its tracking
+     * fires alongside the inline creative's. The whole chain shares
+     * one vastTimeout deadline.
+     */
+    async resolveAd(ad, depth = 0, deadline = Date.now() + this.options.vastTimeout) {
+      if (!ad.wrapperUrl) return ad;
+
+      this.wrapperChain.push(ad);
+      if (depth >= this.options.maxWrapperDepth) {
+        throw new VastError(VAST_ERROR.WRAPPER_LIMIT, `VAST wrapper limit (${this.options.maxWrapperDepth}) exceeded`);
+      }
+
+      const vast = await this.fetchVastDocument(ad.wrapperUrl, true, deadline);
+      return this.resolveAd(this.selectWrapperAd(ad, vast.ads, depth + 1), depth + 1, deadline);
+    }
+
+    /**
+     * The ad a wrapper's response resolves to, by the wrapper's VAST 4
+     * attributes:
+     * - followAdditionalWrappers="false": nested wrappers are ignored
+     * - allowMultipleAds="true": a pod plays in full, after which the
+     *   stand-alone ads are fallbacks; otherwise only the first
+     *   stand-alone ad is allowed
+     * Further ads join the queue with the wrapper chain they came from.
+     */
+    selectWrapperAd(wrapper, ads, depth) {
+      const allowed = wrapper.followAdditionalWrappers ? ads : ads.filter(ad => !ad.wrapperUrl);
+      const pod = wrapper.allowMultipleAds
+        ? allowed.filter(ad => ad.sequence).sort((a, b) => a.sequence - b.sequence)
+        : [];
+      // Outside a pod, a lone ad is stand-alone whatever its sequence
+      const standalone = allowed.filter(ad => !pod.includes(ad) && (!ad.sequence || allowed.length === 1));
+
+      const [next, ...rest] = pod.length ? pod : standalone;
+      if (!next) {
+        throw new VastError(VAST_ERROR.NO_ADS, 'No ads in VAST response that the wrapper allows');
+      }
+      if (!wrapper.allowMultipleAds) return next;
+
+      const fallbacks = pod.length ? standalone : rest;
+      const parents = { chain: [...this.wrapperChain], depth };
+      [...rest, ...fallbacks].forEach(ad => { ad.parents = parents; });
+      if (pod.length) this.adQueue.splice(this.podIndex + 1, 0, ...rest);
+      this.standaloneAds.unshift(...fallbacks);
+      return next;
+    }
+
+    async fetchVastDocument(url, wrapper = false, deadline = Date.now() + this.options.vastTimeout) {
+      return this.parseVastDocument(await this.fetchVast(this.expandMacros(url), wrapper, deadline));
+    }
+
+    parseVastDocument(vastXml) {
+      if (!vastXml.trim()) {
+        throw new VastError(VAST_ERROR.NO_ADS, 'Empty VAST response');
+      }
+
+      const vast = this.parseVast(vastXml);
+
+      if (!vast.ads.length) {
+        // No-fill documents may still carry a root <Error> to report to
+        vast.errorUrls.forEach(errorUrl => this.firePixel(errorUrl, { ERRORCODE: VAST_ERROR.NO_ADS }));
+        throw new VastError(VAST_ERROR.NO_ADS, 'No ads in VAST response');
+      }
+
+      return vast;
+    }
+
+    /**
+     * Only a timeout is reported as 301. Any other failure is 303 (no
+     * response) below a wrapper or for a 404 no-fill, and 900 for the
+     * top-level request. An empty 204 body is a no-fill too (303).
+     * Wrapper requests get whatever is left before the chain's deadline.
+     */
+    async fetchVast(url, wrapper = false, deadline = Date.now() + this.options.vastTimeout) {
+      const timedOut = () => new VastError(VAST_ERROR.WRAPPER_TIMEOUT, wrapper
+        ? `VAST wrapper chain timed out after ${this.options.vastTimeout}ms`
+        : `VAST request timed out after ${this.options.vastTimeout}ms`);
+      const remaining = deadline - Date.now();
+      if (remaining <= 0) throw timedOut();
+
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), remaining);
+      const failureCode = wrapper ? VAST_ERROR.NO_ADS : VAST_ERROR.UNDEFINED;
+
+      try {
+        const response = await fetch(url, { signal: controller.signal });
+        if (!response.ok) {
+          const code = response.status === 404 ? VAST_ERROR.NO_ADS : failureCode;
+          throw new VastError(code, `VAST request failed with HTTP ${response.status}`);
+        }
+        return await response.text();
+      } catch (error) {
+        if (error instanceof VastError) throw error;
+        if (error.name === 'AbortError') throw timedOut();
+        throw new VastError(failureCode, `VAST request failed: ${error.message}`);
+      } finally {
+        clearTimeout(timer);
+      }
+    }
+
+    parseVast(xml) {
+      const parser = new DOMParser();
+      const doc = parser.parseFromString(xml, 'text/xml');
+
+      if (doc.getElementsByTagName('parsererror').length) {
+        throw new VastError(VAST_ERROR.XML_PARSE, 'Malformed VAST XML');
+      }
+
+      const version = parseInt(doc.documentElement.getAttribute('version'));
+      if (doc.documentElement.nodeName !== 'VAST' || (version && (version < 2 || version > 4))) {
+        throw new VastError(VAST_ERROR.UNSUPPORTED_VERSION, `Unsupported VAST version: ${version || 'unknown'}`);
+      }
+
+      const ads = [...doc.querySelectorAll('VAST > Ad')]
+        .filter(ad => ad.querySelector(':scope > InLine, :scope > Wrapper'))
+        .map(ad => this.parseAd(ad));
+
+      return {
+        ads,
+        errorUrls: textList(doc, 'VAST > Error')
+      };
+    }
+
+    parseAd(ad) {
+      const mediaFile = ad.querySelector('MediaFile');
+      const mediaFiles = [...ad.querySelectorAll('MediaFile')].map(m => ({
+        url: m.textContent.trim(),
+        type: m.getAttribute('type'),
+        delivery: m.getAttribute('delivery'),
+        width: parseInt(m.getAttribute('width')) || 0,
+        height: parseInt(m.getAttribute('height')) || 0,
+        bitrate: parseInt(m.getAttribute('bitrate') || m.getAttribute('maxBitrate')) || 0,
+        apiFramework: m.getAttribute('apiFramework'),
+      }));
+      const clickThrough = ad.querySelector('ClickThrough');
+      const wrapper = ad.querySelector(':scope > Wrapper');
+      const wrapperUrl = ad.querySelector('Wrapper VASTAdTagURI');
+      const durationNode = ad.querySelector('Linear Duration');
+      const duration = durationNode ? parseTimecode(durationNode.textContent) : 0;
+      const skipOffset = ad.querySelector('Linear')?.getAttribute('skipoffset');
+
+      // Get all tracking events - an event may carry several pixels.
+      // progress events also carry their own offset (timecode or percent).
+      const trackingEvents = {};
+      const progressEvents = [];
+      ad.querySelectorAll('Linear Tracking').forEach(t => {
+        const event = t.getAttribute('event');
+        const url = t.textContent.trim();
+        if (!url) return;
+        if (event === 'progress') {
+          progressEvents.push({ offset: t.getAttribute('offset') || '', url });
+          return;
+        }
+        (trackingEvents[event] = trackingEvents[event] || []).push(url);
+      });
+
+      return {
+        id: ad.getAttribute('id'),
+        sequence: parseInt(ad.getAttribute('sequence')) || 0,
+        duration,
+        mediaFile: mediaFile?.textContent?.trim(),
+        mediaType: mediaFile?.getAttribute('type'),
+        width: mediaFile?.getAttribute('width'),
+        height: mediaFile?.getAttribute('height'),
+        mediaFiles,
+        clickThrough: clickThrough?.textContent?.trim(),
+        clickTrackingUrls: textList(ad, 'Linear ClickTracking'),
+        impressionUrls: textList(ad, 'InLine > Impression, Wrapper > Impression'),
+        errorUrls: textList(ad, 'InLine > Error, Wrapper > Error'),
+        wrapperUrl: wrapperUrl?.textContent?.trim(),
+        // VAST 4 wrapper attributes - see selectWrapperAd()
+        followAdditionalWrappers: wrapper?.getAttribute('followAdditionalWrappers') !== 'false',
+        allowMultipleAds: wrapper?.getAttribute('allowMultipleAds') === 'true',
+        skipOffset: skipOffset ? this.parseSkipOffset(skipOffset, duration) : null,
+        companions: [...ad.querySelectorAll('CompanionAds > Companion')].map(c => this.parseCompanion(c)),
+        icons: [...ad.querySelectorAll('Linear Icons > Icon')].map(i => this.parseIcon(i)),
+        verifications: [...ad.querySelectorAll('AdVerifications > Verification')].map(v => this.parseVerification(v)),
+        viewableImpression: {
+          viewable: textList(ad, 'ViewableImpression > Viewable'),
+          notViewable: textList(ad, 'ViewableImpression > NotViewable'),
+          viewUndetermined: textList(ad, 'ViewableImpression > ViewUndetermined')
+        },
+        adParameters: ad.querySelector('Linear AdParameters')?.textContent?.trim() || '',
+        interactiveFiles: [...ad.querySelectorAll('InteractiveCreativeFile')]
+          .filter(f => (f.getAttribute('apiFramework') || 'SIMID') === 'SIMID')
+          .map(f => ({
+            url: f.textContent.trim(),
+            type: f.getAttribute('type') || 'text/html'
+          }))
+          .filter(f => f.url),
+        captionFiles: [...ad.querySelectorAll('ClosedCaptionFiles > ClosedCaptionFile')].map(c => ({
+          url: c.textContent.trim(),
+          type: c.getAttribute('type') || '',
+          language: c.getAttribute('language') || ''
+        })),
+        trackingEvents,
+        progressEvents
+      };
+    }
+
+    parseCompanion(companion) {
+      return {
+        width: parseInt(companion.getAttribute('width')) || 0,
+        height: parseInt(companion.getAttribute('height')) || 0,
+        resource: parseResource(companion),
+        altText: companion.querySelector('AltText')?.textContent?.trim() || '',
+        clickThrough: companion.querySelector('CompanionClickThrough')?.textContent?.trim(),
+        clickTrackingUrls: textList(companion, 'CompanionClickTracking'),
+        creativeViewUrls: textList(companion, 'Tracking[event="creativeView"]')
+      };
+    }
+
+    parseIcon(icon) {
+      const offset = icon.getAttribute('offset');
+      const duration = icon.getAttribute('duration');
+
+      return {
+        program: icon.getAttribute('program') || '',
+        width: parseInt(icon.getAttribute('width')) || 0,
+        height: parseInt(icon.getAttribute('height')) || 0,
+        xPosition: icon.getAttribute('xPosition') || 'right',
+        yPosition: icon.getAttribute('yPosition') || 'top',
+        offset: offset ? parseTimecode(offset) : 0,
+        duration: duration ? parseTimecode(duration) : 0,
+        resource: parseResource(icon),
+        clickThrough: icon.querySelector('IconClickThrough')?.textContent?.trim(),
+        clickTrackingUrls: textList(icon, 'IconClickTracking'),
+        viewTrackingUrls: textList(icon, 'IconViewTracking')
+      };
+    }
+
+    /**
+     * <Verification> from VAST 4 <AdVerifications> or the VAST 3
+     * AdVerifications extension
+     */
+    parseVerification(verification) {
+      return {
+        vendor: verification.getAttribute('vendor') || '',
+        resources: [...verification.querySelectorAll('JavaScriptResource')].map(r => ({
+          url: r.textContent.trim(),
+          apiFramework: r.getAttribute('apiFramework') || '',
+          browserOptional: r.getAttribute('browserOptional') === 'true'
+        })),
+        parameters: verification.querySelector('VerificationParameters')?.textContent?.trim() || '',
+        trackingEvents: {
+          verificationNotExecuted: textList(verification, 'Tracking[event="verificationNotExecuted"]')
+        }
+      };
+    }
+
+    /**
+     * Order MediaFiles best-first for this slot: drop renditions the
+     * browser can't decode, then prefer progressive files that cover the
+     * player width without exceeding the connection's bandwidth.
+     */
+    rankMediaFiles(mediaFiles) {
+      const probe = document.createElement('video');
+      const targetWidth = this.getPlayerWidth() * (window.devicePixelRatio || 1);
+      const bandwidth = this.estimateBandwidth();
+
+      return mediaFiles
+        .filter(file => file.url && file.apiFramework !== 'VPAID')
+        .map(file => {
+          const support = isHlsFile(file)
+            ? this.hlsSupport(probe, file)
+            : (file.type ? probe.canPlayType(file.type) : 'maybe');
+          let score = support === 'probably' ? 10 : 0;
+
+          if (file.delivery !== 'streaming') score += 5;
+
+          // Undersized files look bad; oversized ones just waste bytes
+          if (file.width) {
+            const ratio = file.width / targetWidth;
+            score -= ratio < 1 ? (1 - ratio) * 40 : (ratio - 1) * 10;
+          }
+
+          if (file.bitrate > bandwidth) {
+            score -= 30 + (file.bitrate / bandwidth) * 10;
+          }
+
+          return { file, support, score };
+        })
+        .filter(({ support }) => support !== '')
+        .sort((a, b) => b.score - a.score)
+        .map(({ file }) => file);
+    }
+
+    /**
+     * HLS plays natively (Safari, iOS, some Android) or through MSE
+     */
+    hlsSupport(probe, file) {
+      return probe.canPlayType(HLS_MIME) || probe.canPlayType(file.type || HLS_MIME) ||
+        (HlsStream.isSupported() ? 'maybe' : '');
+    }
+
+    /**
+     * Point the video at a MediaFile - HLS goes through HlsStream when the
+     * browser can't play it natively
+     */
+    loadMedia(file) {
+      this.destroyStream();
+
+      if (!isHlsFile(file) || this.videoElement.canPlayType(HLS_MIME) || !HlsStream.isSupported()) {
+        this.videoElement.src = file.cachedUrl || file.url;
+        return;
+      }
+
+      const bandwidth = this.estimateBandwidth();
+      this.stream = new HlsStream(this.videoElement, file.url, {
+        bandwidth: isFinite(bandwidth) ? bandwidth : 1500,
+        maxWidth: this.getPlayerWidth() * (window.devicePixelRatio || 1),
+        timeout: this.options.mediaTimeout,
+        onError: (error) => this.onMediaError(error)
+      });
+      this.stream.start();
+    }
+
+    destroyStream() {
+      if (!this.stream) return;
+      this.stream.destroy();
+      this.stream = null;
+    }
+
+    /**
+     * Rough usable bandwidth in kbps from the Network Information API
+     */
+    estimateBandwidth() {
+      const connection = navigator.connection;
+      if (!connection) return Infinity;
+      if (connection.saveData) return 400;
+
+      switch (connection.effectiveType) {
+        case 'slow-2g':
+        case '2g':
+          return 250;
+        case '3g':
+          return 750;
+      }
+
+      return connection.downlink ? connection.downlink * 1000 * 0.75 : Infinity;
+    }
+
+    getPlayerWidth() {
+      return (this.options.fluid && this.container.offsetWidth) || this.options.width;
+    }
+
+    getPlayerHeight() {
+      return (this.options.fluid && this.container.offsetHeight) || this.options.height;
+    }
+
+    useMediaFile(file) {
+      this.vastData.mediaFile = file.url;
+      this.vastData.mediaType = file.type;
+      this.vastData.width = file.width;
+      this.vastData.height = file.height;
+    }
+
+    /**
+     * Parse a VAST offset - "HH:MM:SS(.mmm)", "25%" of duration, or
+     * plain seconds - to seconds (null if unreadable)
+     */
+    parseOffset(offset, duration = 0) {
+      const value = offset.trim();
+      if (value.endsWith('%')) {
+        const percent = parseFloat(value);
+        return isNaN(percent) ? null : (percent / 100) * duration;
+      }
+      if (value.includes(':')) {
+        return parseTimecode(value);
+      }
+      const seconds = parseFloat(value);
+      return isNaN(seconds) ? null : seconds;
+    }
+
+    parseSkipOffset(offset, duration = 0) {
+      return this.parseOffset(offset, duration) ?? 5;
+    }
+
+    prepareContainer() {
+      this.destroySimid();
+      this.destroyStream();
+      this.finishVerification();
+      this.finishViewability();
+      this.container.innerHTML = '';
+      this.container.style.position = 'relative';
+      this.container.style.backgroundColor = '#000';
+      if (this.options.fluid) {
+        this.container.style.width = '100%';
+        this.container.style.height = 'auto';
+        this.container.style.aspectRatio = this.options.aspectRatio || `${this.options.width} / ${this.options.height}`;
+      } else {
+        this.container.style.width = this.options.width + 'px';
+        this.container.style.height = this.options.height + 'px';
+      }
+    }
+
+    createAdLabel() {
+      // "Ad" label (with pod position and countdown for pods)
+      this.adLabel = document.createElement('div');
+      this.adLabel.textContent = 'Ad';
+      this.adLabel.style.cssText = 'position:absolute;top:10px;left:10px;background:rgba(0,0,0,0.7);color:#fff;padding:4px 8px;font-size:12px;border-radius:4px;z-index:2;';
+      this.container.appendChild(this.adLabel);
+      this.updateAdLabel();
+    }
+
+    render() {
+      this.prepareContainer();
+
+      // Create video element
+      // Adopt the element preload() has been buffering, if it's for this ad
+      const adopted = this.warm ? this.warm.video : null;
+      if (this.warm) {
+        this.videoElement = this.warm.video;
+        this.stream = this.warm.stream;
+        this.warm = null;
+      } else {
+        this.videoElement = document.createElement('video');
+        this.loadMedia(this.mediaCandidates[this.mediaIndex]);
+      }
+      this.videoElement.width = this.options.width;
+      this.videoElement.height = this.options.height;
+      this.videoElement.muted = this.options.muted;
+      this.videoElement.playsInline = true;
+      this.videoElement.style.width = '100%';
+      this.videoElement.style.height = '100%';
+      this.videoElement.style.objectFit = 'contain';
+      this.videoElement.style.display = 'block';
+
+      // Media listeners go with the element's ad (see destroy())
+      if (this.mediaListeners) this.mediaListeners.abort();
+      this.mediaListeners = new AbortController();
+      const listen = { signal: this.mediaListeners.signal };
+
+      // Click handler
+      this.videoElement.addEventListener('click', () => this.clickThrough(), listen);
+
+      // Progress tracking
+      this.videoElement.addEventListener('timeupdate', () => this.onTimeUpdate(), listen);
+      this.videoElement.addEventListener('ended', () => this.onComplete(), listen);
+      this.videoElement.addEventListener('play', () => this.onStart(), listen);
+
+      // Player state tracking
+      this.isMuted = this.videoElement.muted;
+      this.videoElement.addEventListener('pause', () => this.onPause(), listen);
+      this.videoElement.addEventListener('volumechange', () => this.onVolumeChange(), listen);
+      this.videoElement.addEventListener('seeking', () => this.onSeeking(), listen);
+      this.videoElement.addEventListener('webkitbeginfullscreen', this.onFullscreenChange, listen);
+      this.videoElement.addEventListener('webkitendfullscreen', this.onFullscreenChange, listen);
+      document.removeEventListener('fullscreenchange', this.onFullscreenChange);
+      document.addEventListener('fullscreenchange', this.onFullscreenChange);
+      this.videoElement.addEventListener('error', () => this.onMediaError(
+        this.trackingFired.start
+          ? new VastError(VAST_ERROR.MEDIA_DISPLAY, 'VAST media playback failed')
+          : new VastError(VAST_ERROR.MEDIA_NOT_FOUND, 'VAST media file could not be loaded')
+      ), listen);
+
+      // Stall detection - give up on a rendition that stops delivering data
+      const watchStall = () => {
+        if (this.videoElement.paused || this.stallTimer) return;
+        this.stallTimer = setTimeout(() => {
+          this.stallTimer = null;
+          this.onMediaError(new VastError(VAST_ERROR.MEDIA_TIMEOUT, 'VAST media playback stalled'));
+        }, this.options.mediaTimeout);
+      };
+      const clearStall = () => {
+        clearTimeout(this.stallTimer);
+        this.stallTimer = null;
+      };
+      this.videoElement.addEventListener('waiting', watchStall, listen);
+      this.videoElement.addEventListener('stalled', watchStall, listen);
+      this.videoElement.addEventListener('playing', clearStall, listen);
+      this.videoElement.addEventListener('timeupdate', clearStall, listen);
+      if (this.options.rewarded) {
+        // Rewards must be earned at normal speed, in the foreground
+        this.videoElement.addEventListener('ratechange', () => {
+          if (this.videoElement.playbackRate !== 1) this.videoElement.playbackRate = 1;
+        }, listen);
+        document.removeEventListener('visibilitychange', this.onVisibilityChange);
+        document.addEventListener('visibilitychange', this.onVisibilityChange);
+      }
+      this.videoElement.addEventListener('waiting', () => this.verification?.dispatch('bufferStart'), listen);
+      this.videoElement.addEventListener('playing', () => this.verification?.dispatch('bufferFinish'), listen);
+
+      this.container.appendChild(this.videoElement);
+      this.startVerification();
+      this.startViewability();
+
+      // Add control bar
+      this.controls = null;
+      if (this.options.controls) {
+        this.createControls();
+      }
+
+      // Add skip button if skippable
+      this.skipButton = null;
+      if (this.isSkippable()) {
+        this.createSkipButton();
+      }
+
+      this.createAdLabel();
+
+      this.renderIcons();
+      this.renderCompanions();
+      this.renderCaptions();
+
+      // A preloaded element that failed did so before it had our listeners
+      if (adopted && (adopted.error || adopted.networkState === HTMLMediaElement.NETWORK_NO_SOURCE)) {
+        this.onMediaError(new VastError(VAST_ERROR.MEDIA_NOT_FOUND, 'VAST media file could not be loaded'));
+        if (this.videoElement !== adopted) return; // moved on to the next ad
+      }
+
+      // SIMID creatives get to initialise before the media starts
+      const interactiveFile = this.options.interactive && this.vastData.interactiveFiles[0];
+      const ready = interactiveFile ? this.startSimid(interactiveFile) : Promise.resolve();
+
+      // Autoplay
+      if (this.options.autoplay) {
+        ready.then(() => this.attemptAutoplay());
+      }
+    }
+
+    /**
+     * Hand the verification scripts of this ad (and its wrappers) the
+     * player element; media events follow via fireTracking()
+     */
+    startVerification() {
+      this.verification = createVerificationSession({
+        element: this.container,
+        mediaType: 'video',
+        verifications: this.trackingSources().flatMap(source => source.verifications || []),
+        firePixel: (url, macros) => this.firePixel(url, macros)
+      });
+
+      if (this.verification) {
+        this.verification.dispatch('loaded', {
+          skippable: this.isSkippable(),
+          skipOffset: this.isSkippable() ? this.vastData.skipOffset : null,
+          autoPlay: !!this.options.autoplay,
+          position: 'preroll'
+        });
+      }
+    }
+
+    finishVerification() {
+      if (!this.verification) return;
+      this.verification.finish();
+      this.verification = null;
+    }
+
+    /**
+     * MRC video viewability for the ad on screen: 50% in view for two
+     * seconds of playback. Results go to the ad's <ViewableImpression>
+     * URLs and the ad log.
+     */
+    startViewability() {
+      // Captured now - the next ad replaces vastData before this one finishes
+      const sources = this.trackingSources();
+      const adId = this.vastData.id || '';
+
+      this.viewability = createViewabilityTracker({
+        element: this.container,
+        mediaType: 'video',
+        video: this.videoElement,
+        onEvent: (type, data) => {
+          const vastEvent = {
+            viewable: 'viewable',
+            unmeasurable: 'viewUndetermined',
+            timeInView: data.viewable ? null : 'notViewable'
+          }[type];
+          sources.forEach(source => {
+            (source.viewableImpression?.[vastEvent] || []).forEach(url => this.firePixel(url));
+          });
+
+          logViewability({ type: 'video', id: adId }, type, data);
+          if (type !== 'viewable') return;
+          this.emit('viewable', { adId });
+          if (this.options.onViewable) this.options.onViewable();
+        }
+      });
+    }
+
+    finishViewability() {
+      if (!this.viewability) return;
+      this.viewability.finish();
+      this.viewability = null;
+    }
+
+    /**
+     * Forward a VAST tracking event to verification scripts
+     */
+    verifyEvent(event) {
+      const type = VERIFICATION_EVENTS[event];
+      if (!this.verification || !type) return;
+
+      const video = this.videoElement;
+      const volume = video ? (video.muted ? 0 : video.volume) : 1;
+      const data = {
+        start: { duration: video ? video.duration : this.vastData.duration, mediaPlayerVolume: volume },
+        volumeChange: { mediaPlayerVolume: volume },
+        playerStateChange: { state: event === 'fullscreen' ? 'fullscreen' : 'normal' },
+        adUserInteraction: { interactionType: 'click' }
+      }[type] || {};
+
+      this.verification.dispatch(type, data);
+    }
+
+    simidEnvironment() {
+      return {
+        videoDimensions: { width: this.getPlayerWidth(), height: this.getPlayerHeight() },
+        creativeDimensions: { width: this.getPlayerWidth(), height: this.getPlayerHeight() },
+        fullscreen: this.isFullscreen,
+        fullscreenAllowed: true,
+        variableDurationAllowed: false,
+        skippableState: this.isSkippable() ? 'playerHandles' : 'notSkippable',
+        siteUrl: window.location.href,
+        useragent: navigator.userAgent,
+        muted: this.videoElement ? this.videoElement.muted : this.options.muted,
+        volume: this.videoElement ? this.videoElement.volume : 1,
+        version: '1.0'
+      };
+    }
+
+    /**
+     * Layer a SIMID creative over the video. Resolves once it's ready (or
+     * has failed) - a broken creative is reported with VAST error 902 and
+     * the media plays on without it.
+     */
+    startSimid(file) {
+      const session = new SimidSession({
+        src: file.url,
+        timeout: this.options.interactiveTimeout,
+        environmentData: this.simidEnvironment(),
+        creativeData: {
+          adParameters: this.vastData.adParameters,
+          clickThruUrl: this.vastData.clickThrough || ''
+        },
+        onRequest: (type, args) => this.handleSimidRequest(type, args)
+      });
+      this.simid = session;
+
+      // Forward media state to the creative
+      const video = this.videoElement;
+      ['durationchange', 'ended', 'error', 'pause', 'play', 'playing', 'seeked', 'seeking', 'stalled', 'timeupdate', 'volumechange']
+        .forEach(event => {
+          video.addEventListener(event, () => {
+            if (this.simid !== session) return;
+            const args = {
+              timeupdate: { currentTime: video.currentTime },
+              durationchange: { duration: video.duration },
+              volumechange: { volume: video.volume, muted: video.muted }
+            }[event] || {};
+            session.post(`SIMID:Media:${event}`, args);
+          });
+        });
+
+      return session.start(this.container, video.nextSibling)
+        .catch(error => this.abandonSimid(error));
+    }
+
+    handleSimidRequest(type, args) {
+      const video = this.videoElement;
+
+      switch (type) {
+        case 'SIMID:Creative:clickThru':
+          window.open(args.url || this.vastData.clickThrough, '_blank');
+          this.fireTracking('click');
+          return;
+        case 'SIMID:Creative:requestPause':
+          video.pause();
+          return;
+        case 'SIMID:Creative:requestPlay':
+          return video.play();
+        case 'SIMID:Creative:requestSkip':
+          if (!this.isSkippable()) throw new Error('Ad is not skippable');
+          this.skip();
+          return;
+        case 'SIMID:Creative:requestStop':
+          this.stopAd(SIMID_STOP.CREATIVE_INITIATED);
+          return;
+        case 'SIMID:Creative:requestChangeVolume':
+          if (typeof args.volume === 'number') video.volume = Math.min(1, Math.max(0, args.volume));
+          if (typeof args.muted === 'boolean') video.muted = args.muted;
+          return;
+        case 'SIMID:Creative:requestFullscreen':
+        case 'SIMID:Creative:requestExitFullscreen':
+          if ((type === 'SIMID:Creative:requestFullscreen') !== this.isFullscreen) this.toggleFullscreen();
+          return;
+        case 'SIMID:Creative:reportTracking':
+          (args.trackingUrls || []).forEach(url => this.firePixel(url));
+          return;
+        case 'SIMID:Creative:getMediaState':
+          return {
+            currentSrc: video.currentSrc,
+            currentTime: video.currentTime,
+            duration: video.duration,
+            ended: video.ended,
+            muted: video.muted,
+            paused: video.paused,
+            volume: video.volume,
+            fullscreen: this.isFullscreen
+          };
+        case 'SIMID:Creative:fatalError':
+          this.abandonSimid(new Error(args.errorMessage || 'Interactive creative fatal error'));
+          return;
+        case 'SIMID:Creative:log':
+          // Creative debug output stays off the console - listen for creativeLog
+          this.emit('creativeLog', { message: String(args.message ?? '') });
+          return;
+        default:
+          throw new Error(`Unsupported SIMID message: ${type}`);
+      }
+    }
+
+    abandonSimid(error) {
+      if (!this.simid) return;
+      console.warn('Interactive creative error:', error);
+      this.fireError(VAST_ERROR.INTERACTIVE);
+      this.destroySimid();
+    }
+
+    destroySimid(stopCode = null) {
+      if (!this.simid) return;
+      if (stopCode !== null) {
+        this.simid.post('SIMID:Player:adStopped', { code: stopCode });
+      }
+      this.simid.destroy();
+      this.simid = null;
+    }
+
+    /**
+     * End the current ad early without a complete (e.g. SIMID requestStop)
+     */
+    stopAd(stopCode) {
+      this.destroySimid(stopCode);
+      if (this.videoElement) this.videoElement.pause();
+      this.podIndex++;
+      this.playNextAd();
+    }
+
+    /**
+     * Run a legacy VPAID JavaScript creative through the SIMID bridge.
+     * The creative drives its own media; we map its events to tracking.
+     */
+    renderVpaid(file) {
+      this.prepareContainer();
+      this.videoElement = null;
+      this.controls = null;
+      this.skipButton = null;
+      this.icons = [];
+
+      const session = new SimidSession({
+        srcdoc: vpaidBridgeHtml(file.url),
+        timeout: this.options.interactiveTimeout,
+        environmentData: this.simidEnvironment(),
+        creativeData: { adParameters: this.vastData.adParameters },
+        onRequest: (type, args) => this.handleVpaidEvent(type, args)
+      });
+      this.simid = session;
+
+      session.start(this.container)
+        .then(() => session.request('SIMID:Player:startCreative'))
+        .catch(error => {
+          if (this.simid !== session) return;
+          this.destroySimid();
+          this.failAd(new VastError(VAST_ERROR.VPAID, error.message || 'VPAID creative failed'));
+        });
+
+      this.startVerification();
+      this.startViewability();
+      this.createAdLabel();
+      this.renderCompanions();
+    }
+
+    handleVpaidEvent(type, args) {
+      switch (type) {
+        case 'VPAID:AdImpression':
+          this.fireImpression();
+          return;
+        case 'VPAID:AdVideoStart':
+          this.trackingFired.start = true;
+          this.fireTracking('start');
+          this.emit('start', { adId: this.vastData.id });
+          return;
+        case 'VPAID:AdVideoFirstQuartile':
+          this.fireTracking('firstQuartile');
+          return;
+        case 'VPAID:AdVideoMidpoint':
+          this.fireTracking('midpoint');
+          return;
+        case 'VPAID:AdVideoThirdQuartile':
+          this.fireTracking('thirdQuartile');
+          return;
+        case 'VPAID:AdVideoComplete':
+          this.trackingFired.complete = true;
+          this.fireTracking('complete');
+          this.adsCompleted++;
+          return;
+        case 'VPAID:AdClickThru':
+          if (args.playerHandles && (args.url || this.vastData.clickThrough)) {
+            window.open(args.url || this.vastData.clickThrough, '_blank');
+          }
+          this.fireTracking('click');
+          this.emit('click', { adId: this.vastData.id });
+          return;
+        case 'VPAID:AdPaused':
+          this.fireTracking('pause');
+          return;
+        case 'VPAID:AdPlaying':
+          this.fireTracking('resume');
+          return;
+        case 'VPAID:AdSkipped':
+          this.fireTracking('skip');
+          this.destroySimid();
+          this.podIndex++;
+          this.playNextAd();
+          return;
+        case 'VPAID:AdUserClose':
+          this.fireTracking('closeLinear');
+          this.destroySimid();
+          this.podIndex++;
+          this.playNextAd();
+          return;
+        case 'VPAID:AdStopped':
+          this.destroySimid();
+          this.podIndex++;
+          this.playNextAd();
+          return;
+        case 'VPAID:AdError':
+        case 'SIMID:Creative:fatalError':
+          this.destroySimid();
+          this.failAd(new VastError(VAST_ERROR.VPAID, args.url || args.errorMessage || 'VPAID creative error'));
+          return;
+        case 'SIMID:Creative:log':
+          return;
+        default:
+          // Other VPAID lifecycle events need no player action
+          if (type.startsWith('VPAID:')) return;
+          throw new Error(`Unsupported message: ${type}`);
+      }
+    }
+
+    /**
+     * Start playback, working around browser autoplay policies: retry
+     * muted where the format allows it, else fall back to click-to-play.
+     */
+    async attemptAutoplay() {
+      const video = this.videoElement;
+      const mediaIndex = this.mediaIndex;
+
+      // Firefox can tell us up front what will be allowed
+      const policy = navigator.getAutoplayPolicy ? navigator.getAutoplayPolicy('mediaelement') : null;
+      if (policy === 'allowed-muted' && !video.muted && this.options.mutedAutoplayFallback) {
+        video.muted = true;
+      }
+
+      if (policy !== 'disallowed') {
+        try {
+          await video.play();
+          this.reportAutoplay(video.muted && !this.options.muted ? 'muted' : 'played');
+          return;
+        } catch (error) {
+          // Already handled: another ad, a rendition swapped mid-play, or
+          // an error event that moved on to the next rendition
+          if (video !== this.videoElement || mediaIndex !== this.mediaIndex || error.name === 'AbortError') return;
+          if (error.name !== 'NotAllowedError') {
+            this.onMediaError(new VastError(VAST_ERROR.MEDIA_NOT_FOUND, `VAST media could not be played: ${error.message}`));
+            return;
+          }
+        }
+
+        if (!video.muted && this.options.mutedAutoplayFallback) {
+          video.muted = true;
+          try {
+            await video.play();
+            this.reportAutoplay('muted');
+            return;
+          } catch (error) {
+            // Muted playback blocked too - fall through to click-to-play
+          }
+        }
+      }
+
+      video.muted = this.options.muted;
+      this.showPlayPrompt();
+      this.reportAutoplay('blocked');
+    }
+
+    reportAutoplay(result) {
+      if (this.options.onAutoplay) this.options.onAutoplay(result);
+    }
+
+    /**
+     * Click-to-play poster shown when autoplay is blocked
+     */
+    showPlayPrompt() {
+      if (this.playPrompt) return;
+
+      this.playPrompt = document.createElement('button');
+      this.playPrompt.type = 'button';
+      this.playPrompt.setAttribute('aria-label', 'Play ad');
+      this.playPrompt.innerHTML = `
+        <span style="display:flex;align-items:center;justify-content:center;width:72px;height:72px;border-radius:50%;background:rgba(255,255,255,0.9);color:#111;font-size:28px;padding-left:6px;">▶</span>
+        <span style="margin-top:12px;font-size:14px;">Click to play</span>
+      `;
+      this.playPrompt.style.cssText = `
+        position: absolute;
+        inset: 0;
+        display: flex;
+        flex-direction: column;
+        align-items: center;
+        justify-content: center;
+        background: rgba(0,0,0,0.6);
+        color: #fff;
+        border: none;
+        cursor: pointer;
+        z-index: 3;
+      `;
+      this.playPrompt.addEventListener('click', () => {
+        this.hidePlayPrompt();
+        this.videoElement.play().catch(() => this.showPlayPrompt());
+      });
+      this.container.appendChild(this.playPrompt);
+    }
+
+    hidePlayPrompt() {
+      if (this.playPrompt) {
+        this.playPrompt.remove();
+        this.playPrompt = null;
+      }
+    }
+
+    /**
+     * Fill publisher companion slots (e.g. data-buzzer-companion="300x250")
+     * with the best-fitting companion and fire its creativeView
+     */
+    renderCompanions() {
+      this.clearCompanions();
+      const companions = this.vastData.companions.filter(c => c.resource);
+      if (!companions.length) return;
+
+      const slots = typeof this.options.companionSlots === 'string'
+        ? document.querySelectorAll(this.options.companionSlots)
+        : this.options.companionSlots;
+
+      [...slots].forEach(slot => {
+        const [width, height] = (slot.getAttribute('data-buzzer-companion') || '')
+          .split('x')
+          .map(n => parseInt(n) || 0);
+        const companion = this.pickCompanion(companions, width, height);
+        if (!companion) return;
+
+        const element = createResourceElement(companion.resource, companion.width, companion.height);
+        if (!element) return;
+        if (companion.altText && element.tagName === 'IMG') element.alt = companion.altText;
+
+        // Clicks inside IFrame/HTML companions stay in their frame; only
+        // static companions can be click-tracked from here
+        if (companion.resource.type === 'static' && companion.clickThrough) {
+          element.style.cursor = 'pointer';
+          element.addEventListener('click', () => {
+            window.open(companion.clickThrough, '_blank');
+            companion.clickTrackingUrls.forEach(url => this.firePixel(url));
+          });
+        }
+
+        slot.innerHTML = '';
+        slot.appendChild(element);
+        this.companionSlots.push(slot);
+        companion.creativeViewUrls.forEach(url => this.firePixel(url));
+      });
+    }
+
+    /**
+     * Exact size match first, else the largest companion that fits the slot
+     */
+    pickCompanion(companions, width, height) {
+      if (!width || !height) return companions[0];
+
+      const exact = companions.find(c => c.width === width && c.height === height);
+      if (exact) return exact;
+
+      return companions
+        .filter(c => c.width <= width && c.height <= height)
+        .sort((a, b) => b.width * b.height - a.width * a.height)[0];
+    }
+
+    clearCompanions() {
+      this.companionSlots.forEach(slot => { slot.innerHTML = ''; });
+      this.companionSlots = [];
+    }
+
+    /**
+     * Overlay industry icons (AdChoices etc.) at their VAST position
+     */
+    renderIcons() {
+      this.icons = this.vastData.icons
+        .filter(icon => icon.resource)
+        .map(icon => {
+          const element = createResourceElement(icon.resource, icon.width, icon.height);
+          if (!element) return null;
+
+          const wrapper = document.createElement('div');
+          wrapper.style.cssText = 'position:absolute;display:none;z-index:2;';
+          wrapper.title = icon.program;
+          const x = parseInt(icon.xPosition);
+          const y = parseInt(icon.yPosition);
+          if (icon.xPosition === 'left') wrapper.style.left = '0';
+          else if (icon.xPosition === 'right' || isNaN(x)) wrapper.style.right = '0';
+          else wrapper.style.left = x + 'px';
+          if (icon.yPosition === 'bottom') wrapper.style.bottom = '0';
+          else if (icon.yPosition === 'top' || isNaN(y)) wrapper.style.top = '0';
+          else wrapper.style.top = y + 'px';
+
+          if (icon.clickThrough) {
+            wrapper.style.cursor = 'pointer';
+            wrapper.addEventListener('click', () => {
+              window.open(icon.clickThrough, '_blank');
+              icon.clickTrackingUrls.forEach(url => this.firePixel(url));
+            });
+          }
+
+          wrapper.appendChild(element);
+          this.container.appendChild(wrapper);
+          return { icon, element: wrapper, viewed: false };
+        })
+        .filter(Boolean);
+
+      this.updateIcons();
+    }
+
+    updateIcons() {
+      this.icons.forEach(entry => {
+        const { icon } = entry;
+        const visible = this.currentTime >= icon.offset &&
+          (!icon.duration || this.currentTime < icon.offset + icon.duration);
+
+        entry.element.style.display = visible ? 'block' : 'none';
+        if (visible && !entry.viewed) {
+          entry.viewed = true;
+          icon.viewTrackingUrls.forEach(url => this.firePixel(url));
+        }
+      });
+    }
+
+    /**
+     * Control bar: play/pause, mute + volume, progress, fullscreen and a
+     * "Learn more" CTA. Tracking fires from the resulting media events.
+     */
+    createControls() {
+      const bar = document.createElement('div');
+      bar.style.cssText = `
+        position: absolute;
+        left: 0;
+        right: 0;
+        bottom: 0;
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        padding: 14px 10px 8px;
+        background: linear-gradient(transparent, rgba(0,0,0,0.7));
+        color: #fff;
+        font-size: 14px;
+        z-index: 1;
+      `;
+
+      const buttonStyle = 'background:none;border:none;color:#fff;font-size:16px;cursor:pointer;padding:4px 6px;line-height:1;';
+      const makeButton = (label, onClick) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.style.cssText = buttonStyle;
+        button.setAttribute('aria-label', label);
+        button.addEventListener('click', (e) => {
+          e.stopPropagation();
+          onClick();
+        });
+        bar.appendChild(button);
+        return button;
+      };
+
+      // Progress bar (display only - ads aren't seekable)
+      const progress = document.createElement('div');
+      progress.style.cssText = 'position:absolute;left:0;right:0;top:0;height:3px;background:rgba(255,255,255,0.3);';
+      const progressFill = document.createElement('div');
+      progressFill.style.cssText = 'height:100%;width:0%;background:#facc15;';
+      progress.appendChild(progressFill);
+      bar.appendChild(progress);
+
+      const playButton = makeButton('Pause', () => {
+        if (this.videoElement.paused) {
+          this.videoElement.play().catch(() => {});
+        } else {
+          this.videoElement.pause();
+        }
+      });
+
+      const muteButton = makeButton('Unmute', () => {
+        const unmute = this.videoElement.muted || this.videoElement.volume === 0;
+        this.videoElement.muted = !unmute;
+        if (unmute && this.videoElement.volume === 0) this.videoElement.volume = 1;
+      });
+
+      const volume = document.createElement('input');
+      volume.type = 'range';
+      volume.min = '0';
+      volume.max = '1';
+      volume.step = '0.05';
+      volume.setAttribute('aria-label', 'Volume');
+      volume.style.cssText = 'width:70px;cursor:pointer;';
+      volume.addEventListener('click', (e) => e.stopPropagation());
+      volume.addEventListener('input', () => {
+        this.videoElement.volume = parseFloat(volume.value);
+        this.videoElement.muted = this.videoElement.volume === 0;
+      });
+      bar.appendChild(volume);
+
+      const spacer = document.createElement('div');
+      spacer.style.flex = '1';
+      bar.appendChild(spacer);
+
+      if (this.vastData.clickThrough) {
+        const cta = document.createElement('button');
+        cta.type = 'button';
+        cta.textContent = 'Learn more';
+        cta.style.cssText = 'background:#fff;color:#111;border:none;border-radius:4px;padding:6px 12px;font-size:13px;font-weight:600;cursor:pointer;';
+        cta.addEventListener('click', (e) => {
+          e.stopPropagation();
+          this.clickThrough();
+        });
+        bar.appendChild(cta);
+      }
+
+      const captionButton = this.vastData.captionFiles.length
+        ? makeButton('Captions', () => this.setCaptions(!this.captionsOn))
+        : null;
+      if (captionButton) {
+        captionButton.textContent = 'CC';
+        captionButton.style.fontSize = '13px';
+        captionButton.style.fontWeight = '700';
+      }
+
+      const fullscreenButton = makeButton('Fullscreen', () => this.toggleFullscreen());
+
+      this.controls = { bar, playButton, muteButton, volume, progressFill, captionButton, fullscreenButton };
+      this.container.appendChild(bar);
+
+      ['play', 'pause', 'volumechange', 'timeupdate'].forEach(event => {
+        this.videoElement.addEventListener(event, () => this.updateControls());
+      });
+      this.updateControls();
+    }
+
+    updateControls() {
+      if (!this.controls) return;
+
+      const { playButton, muteButton, volume, progressFill, captionButton, fullscreenButton } = this.controls;
+      const video = this.videoElement;
+      const muted = video.muted || video.volume === 0;
+
+      playButton.textContent = video.paused ? '▶' : '❚❚';
+      playButton.setAttribute('aria-label', video.paused ? 'Play' : 'Pause');
+      muteButton.textContent = muted ? '🔇' : '🔊';
+      muteButton.setAttribute('aria-label', muted ? 'Unmute' : 'Mute');
+      volume.value = muted ? '0' : String(video.volume);
+      progressFill.style.width = video.duration ? `${(video.currentTime / video.duration) * 100}%` : '0%';
+      fullscreenButton.setAttribute('aria-label', this.isFullscreen ? 'Exit fullscreen' : 'Fullscreen');
+      if (captionButton) {
+        captionButton.setAttribute('aria-pressed', String(this.captionsOn));
+        captionButton.style.opacity = this.captionsOn ? '1' : '0.5';
+      }
+    }
+
+    /**
+     * Attach the best-matching WebVTT file as a captions track. The file is
+     * fetched into a blob URL so the video needn't go crossorigin.
+     */
+    renderCaptions() {
+      const file = this.pickCaptionFile(this.vastData.captionFiles);
+      if (!file) return;
+
+      this.applyCaptionStyle();
+      const video = this.videoElement;
+
+      fetch(file.url)
+        .then(response => {
+          if (!response.ok) throw new Error(`HTTP ${response.status}`);
+          return response.text();
+        })
+        .then(vtt => {
+          if (video !== this.videoElement || this.destroyed) return;
+
+          this.revokeCaptionUrl();
+          this.captionUrl = URL.createObjectURL(new Blob([vtt], { type: 'text/vtt' }));
+
+          const track = document.createElement('track');
+          track.kind = 'captions';
+          track.src = this.captionUrl;
+          track.srclang = file.language;
+          track.label = file.language || 'Captions';
+          video.appendChild(track);
+
+          this.captionTrack = track.track;
+          this.setCaptions(this.captionsOn);
+        })
+        .catch(error => console.warn('Caption load error:', error));
+    }
+
+    /**
+     * Prefer the visitor's language (exact, then base language), else the first file
+     */
+    pickCaptionFile(files) {
+      const vttFiles = files.filter(f => f.url && (!f.type || f.type === 'text/vtt'));
+      const languages = (navigator.languages || [navigator.language])
+        .filter(Boolean)
+        .map(lang => lang.toLowerCase());
+
+      for (const lang of languages) {
+        const exact = vttFiles.find(f => f.language.toLowerCase() === lang);
+        if (exact) return exact;
+        const base = vttFiles.find(f => f.language.toLowerCase().split('-')[0] === lang.split('-')[0]);
+        if (base) return base;
+      }
+
+      return vttFiles[0];
+    }
+
+    setCaptions(on) {
+      this.captionsOn = on;
+      if (this.captionTrack) {
+        this.captionTrack.mode = on ? 'showing' : 'hidden';
+      }
+      this.updateControls();
+    }
+
+    /**
+     * Publisher captionStyle over our defaults, applied as a scoped ::cue rule
+     */
+    applyCaptionStyle() {
+      const style = { ...DEFAULT_CAPTION_STYLE, ...this.options.captionStyle };
+      const declarations = Object.entries(style)
+        .map(([prop, value]) => {
+          const name = prop.replace(/[A-Z]/g, c => '-' + c.toLowerCase());
+          return `${name}: ${String(value).replace(/[;{}<>]/g, '')};`;
+        })
+        .join(' ');
+
+      this.container.classList.add(this.captionClass);
+      const styleElement = document.createElement('style');
+      styleElement.textContent = `.${this.captionClass} video::cue { ${declarations} }`;
+      this.container.appendChild(styleElement);
+    }
+
+    revokeCaptionUrl() {
+      if (this.captionUrl) {
+        URL.revokeObjectURL(this.captionUrl);
+        this.captionUrl = null;
+      }
+      this.captionTrack = null;
+    }
+
+    toggleFullscreen() {
+      if (document.fullscreenElement) {
+        document.exitFullscreen().catch(() => {});
+      } else if (this.container.requestFullscreen) {
+        this.container.requestFullscreen().catch(() => {});
+      } else if (this.videoElement.webkitEnterFullscreen) {
+        // iOS Safari only allows the video element itself to go fullscreen
+        this.videoElement.webkitEnterFullscreen();
+      }
+    }
+
+    clickThrough() {
+      if (!this.vastData.clickThrough) return;
+      window.open(this.vastData.clickThrough, '_blank');
+      this.fireTracking('click');
+      this.emit('click', { adId: this.vastData.id });
+    }
+
+    createSkipButton() {
+      this.skipButton = document.createElement('button');
+      this.skipButton.style.cssText = `
+        position: absolute;
+        bottom: ${this.options.controls ? 60 : 20}px;
+        right: 20px;
+        background: rgba(0,0,0,0.8);
+        color: #fff;
+        border: 1px solid #fff;
+        padding: 10px 20px;
+        font-size: 14px;
+        cursor: pointer;
+        border-radius: 4px;
+        transition: opacity 0.3s;
+      `;
+      this.updateSkipButton();
+      this.skipButton.addEventListener('click', () => this.skip());
+      this.container.appendChild(this.skipButton);
+    }
+
+    updateSkipButton() {
+      if (!this.skipButton) return;
+
+      const remaining = Math.ceil(this.vastData.skipOffset - this.currentTime);
+      if (remaining > 0) {
+        this.skipButton.textContent = `Skip in ${remaining}s`;
+        this.skipButton.disabled = true;
+        this.skipButton.style.opacity = '0.5';
+      } else {
+        this.skipButton.textContent = 'Skip Ad →';
+        this.skipButton.disabled = false;
+        this.skipButton.style.opacity = '1';
+      }
+    }
+
+    updateAdLabel() {
+      if (!this.adLabel || this.adQueue.length < 2) return;
+
+      // Countdown covers the rest of this ad plus every ad still to come
+      const duration = this.videoElement.duration || this.vastData.duration || 0;
+      const upcoming = this.adQueue
+        .slice(this.podIndex + 1)
+        .reduce((total, ad) => total + (ad.duration || 0), 0);
+      const remaining = Math.max(0, Math.ceil(duration - this.currentTime + upcoming));
+      const mins = Math.floor(remaining / 60);
+      const secs = remaining % 60;
+
+      this.adLabel.textContent = `Ad ${this.podIndex + 1} of ${this.adQueue.length} • ${mins}:${secs.toString().padStart(2, '0')}`;
+    }
+
+    onStart() {
+      this.hidePlayPrompt();
+
+      if (!this.trackingFired.start) {
+        // Impressions count only once playback actually begins
+        this.fireImpression();
+        this.fireTracking('start');
+        this.trackingFired.start = true;
+        this.emit('start', { adId: this.vastData.id });
+        if (this.simid) {
+          this.simid.request('SIMID:Player:startCreative')
+            .catch(error => this.abandonSimid(error));
+        }
+      } else if (this.trackingFired.pause) {
+        this.trackingFired.pause = false;
+        this.fireTracking('resume');
+      }
+    }
+
+    fireImpression() {
+      if (this.trackingFired.impression) return;
+      this.trackingFired.impression = true;
+      this.trackingSources().forEach(source => {
+        source.impressionUrls.forEach(url => this.firePixel(url));
+      });
+      this.fireTracking('creativeView');
+      this.verification?.dispatch('impression', { mediaType: 'video', creativeType: 'video' });
+      this.emit('impression', { adId: this.vastData.id });
+    }
+
+    onPause() {
+      // Ignore the pause browsers emit at the end of playback or on teardown
+      if (this.destroyed || this.videoElement.ended || !this.trackingFired.start) return;
+      this.trackingFired.pause = true;
+      this.fireTracking('pause');
+    }
+
+    onVolumeChange() {
+      const muted = this.videoElement.muted || this.videoElement.volume === 0;
+      if (muted === this.isMuted) return;
+      this.isMuted = muted;
+      this.fireTracking(muted ? 'mute' : 'unmute');
+    }
+
+    onSeeking() {
+      // Rewarded ads can't be scrubbed - snap back to the watched position
+      if (this.options.rewarded && Math.abs(this.videoElement.currentTime - this.currentTime) > 0.5) {
+        this.videoElement.currentTime = this.currentTime;
+        return;
+      }
+
+      if (this.videoElement.currentTime < this.currentTime) {
+        this.fireTracking('rewind');
+      }
+    }
+
+    handleFullscreenChange() {
+      const element = document.fullscreenElement;
+      const fullscreen = element
+        ? element === this.container || this.container.contains(element)
+        : !!this.videoElement?.webkitDisplayingFullscreen;
+
+      if (fullscreen === this.isFullscreen) return;
+      this.isFullscreen = fullscreen;
+      this.updateControls();
+
+      // VAST 4 pairs playerExpand/Collapse with the fullscreen events
+      this.fireTracking(fullscreen ? 'fullscreen' : 'exitFullscreen');
+      this.fireTracking(fullscreen ? 'playerExpand' : 'playerCollapse');
+    }
+
+    /**
+     * Pause rewarded ads while the page is in the background and pick up
+     * again when it returns
+     */
+    handleVisibilityChange() {
+      const video = this.videoElement;
+      if (!video || this.destroyed) return;
+
+      if (document.visibilityState === 'hidden') {
+        if (!video.paused) {
+          this.pausedWhileHidden = true;
+          video.pause();
+        }
+      } else if (this.pausedWhileHidden) {
+        this.pausedWhileHidden = false;
+        video.play().catch(() => this.showPlayPrompt());
+      }
+    }
+
+    onTimeUpdate() {
+      // Only normal forward playback in a visible page counts as watched
+      const delta = this.videoElement.currentTime - this.currentTime;
+      if (delta > 0 && delta < 1.5 && document.visibilityState === 'visible') {
+        this.adWatchedTime += delta;
+        this.watchedTime += delta;
+      }
+
+      this.currentTime = this.videoElement.currentTime;
+      const duration = this.videoElement.duration;
+      const percent = (this.currentTime / duration) * 100;
+
+      this.updateSkipButton();
+      this.updateAdLabel();
+      this.updateIcons();
+      this.fireProgressEvents(duration);
+
+      // Fire quartile events
+      if (percent >= 25 && !this.trackingFired.firstQuartile) {
+        this.fireTracking('firstQuartile');
+        this.trackingFired.firstQuartile = true;
+      }
+      if (percent >= 50 && !this.trackingFired.midpoint) {
+        this.fireTracking('midpoint');
+        this.trackingFired.midpoint = true;
+      }
+      if (percent >= 75 && !this.trackingFired.thirdQuartile) {
+        this.fireTracking('thirdQuartile');
+        this.trackingFired.thirdQuartile = true;
+      }
+    }
+
+    /**
+     * Fire <Tracking event="progress"> pixels whose offset has been reached
+     */
+    fireProgressEvents(duration) {
+      this.trackingSources().forEach(source => {
+        source.progressEvents.forEach(progress => {
+          if (this.progressFired.has(progress)) return;
+          const offset = this.parseOffset(progress.offset, duration);
+          if (offset !== null && this.currentTime >= offset) {
+            this.progressFired.add(progress);
+            this.firePixel(progress.url);
+          }
+        });
+      });
+    }
+
+    /**
+     * Current rendition failed or stalled - fall through to the next one,
+     * reporting `error` once every candidate has been tried
+     */
+    onMediaError(error) {
+      // Emptying src on close fires a media error of its own
+      if (this.destroyed) return;
+
+      clearTimeout(this.stallTimer);
+      this.stallTimer = null;
+
+      const next = this.mediaCandidates[++this.mediaIndex];
+
+      if (!next) {
+        this.failAd(error);
+        return;
+      }
+
+      const resumeAt = this.videoElement.currentTime;
+      this.useMediaFile(next);
+      this.loadMedia(next);
+      if (resumeAt) {
+        this.videoElement.addEventListener('loadedmetadata', () => {
+          this.videoElement.currentTime = resumeAt;
+        }, { once: true });
+      }
+      if (this.options.autoplay) {
+        this.videoElement.play().catch(() => {});
+      }
+    }
+
+    onComplete() {
+      if (this.options.rewarded && !this.watchedInFull()) {
+        // Reached the end without watching it (seek or tampering) - no
+        // complete, and nothing that would earn the reward
+        this.lastError = new VastError(VAST_ERROR.UNDEFINED, 'Rewarded ad was not watched in full');
+        this.destroySimid(SIMID_STOP.PLAYER_INITIATED);
+        this.podIndex++;
+        this.playNextAd();
+        return;
+      }
+
+      this.trackingFired.complete = true;
+      this.destroySimid(SIMID_STOP.MEDIA_PLAYBACK_COMPLETE);
+      this.fireTracking('complete');
+      this.adsCompleted++;
+      this.podIndex++;
+      this.playNextAd();
+    }
+
+    watchedInFull() {
+      const duration = this.videoElement?.duration || this.vastData.duration || 0;
+      return this.adWatchedTime >= duration - 1;
+    }
+
+    /**
+     * Rewarded ads are never skippable, whatever the creative's skipoffset
+     */
+    isSkippable() {
+      return !this.options.rewarded && this.vastData.skipOffset !== null;
+    }
+
+    skip() {
+      this.fireTracking('skip');
+      this.emit('skip', { adId: this.vastData.id });
+      if (this.simid) {
+        this.simid.post('SIMID:Player:adSkipped');
+        this.destroySimid();
+      }
+
+      // Skipping applies to the current ad - the rest of the pod still plays.
+      // A skipped rewarded ad has forfeited the reward, so it ends there.
+      if (!this.options.rewarded && this.podIndex < this.adQueue.length - 1) {
+        this.podIndex++;
+        this.playNextAd();
+        return;
+      }
+
+      this.destroy();
+      if (this.options.onSkip) this.options.onSkip();
+    }
+
+    /**
+     * User dismissed the player - fires closeLinear if the ad hadn't finished
+     */
+    close() {
+      if (this.destroyed) return;
+      if (this.trackingFired.start && !this.trackingFired.complete) {
+        this.fireTracking('closeLinear');
+      }
+      this.destroySimid(SIMID_STOP.USER_INITIATED);
+      this.destroy();
+    }
+
+    /**
+     * Parsed VAST documents whose tracking applies to this ad:
+     * each wrapper level, then the inline ad once resolved.
+     */
+    trackingSources() {
+      return [...this.wrapperChain, this.vastData].filter(Boolean);
+    }
+
+    fireTracking(event) {
+      this.trackingSources().forEach(source => {
+        (source.trackingEvents[event] || []).forEach(url => this.firePixel(url));
+        if (event === 'click') {
+          source.clickTrackingUrls.forEach(url => this.firePixel(url));
+        }
+      });
+      this.verifyEvent(event);
+    }
+
+    fireError(code = VAST_ERROR.UNDEFINED) {
+      this.trackingSources().forEach(source => {
+        source.errorUrls.forEach(url => this.firePixel(url, { ERRORCODE: code }));
+      });
+    }
+
+    firePixel(url, macros = {}) {
+      const img = new Image();
+      img.src = this.expandMacros(url, macros);
+    }
+
+    /**
+     * Replace standard VAST macros ([CACHEBUSTING], [ADPLAYHEAD], ...).
+     * Values in `macros` override the defaults; unknown macros are left as-is.
+     */
+    expandMacros(url, macros = {}) {
+      const adPlayhead = formatTimecode(this.videoElement ? this.videoElement.currentTime : 0);
+      const contentPlayhead = this.options.contentPlayhead != null
+        ? formatTimecode(this.options.contentPlayhead)
+        : adPlayhead;
+
+      const values = {
+        CACHEBUSTING: String(Math.floor(Math.random() * 1e8)).padStart(8, '0'),
+        TIMESTAMP: new Date().toISOString(),
+        ADPLAYHEAD: adPlayhead,
+        CONTENTPLAYHEAD: contentPlayhead,
+        MEDIAPLAYHEAD: contentPlayhead,
+        ASSETURI: this.vastData?.mediaFile,
+        PAGEURL: window.location.href,
+        DOMAIN: window.location.hostname,
+        PLAYERSIZE: `${this.getPlayerWidth()},${this.getPlayerHeight()}`,
+        ...macros
+      };
+
+      return url.replace(/\[([A-Z_]+)\]/g, (match, name) =>
+        values[name] != null ? encodeURIComponent(values[name]) : match
+      );
+    }
+
+    destroy() {
+      const wasDestroyed = this.destroyed;
+      this.destroyed = true;
+      this.destroySimid(SIMID_STOP.PLAYER_INITIATED);
+      this.finishVerification();
+      this.finishViewability();
+      this.destroyStream();
+      if (this.warm) {
+        if (this.warm.stream) this.warm.stream.destroy();
+        this.warm.video.removeAttribute('src');
+        this.warm.video.load();
+        this.warm = null;
+      }
+      this.revokeMediaCache();
+      this.revokeCaptionUrl();
+      document.removeEventListener('fullscreenchange', this.onFullscreenChange);
+      document.removeEventListener('visibilitychange', this.onVisibilityChange);
+      clearTimeout(this.stallTimer);
+      this.clearCompanions();
+      if (this.mediaListeners) {
+        this.mediaListeners.abort();
+        this.mediaListeners = null;
+      }
+      if (this.videoElement) {
+        this.videoElement.pause();
+        this.videoElement.removeAttribute('src');
+        this.videoElement.load();
+      }
+      this.container.innerHTML = '';
+      if (!wasDestroyed) this.emit('destroyed');
+    }
+  }
+
+  // ============================================================
+  // ACCESSIBLE OVERLAYS
+  // ============================================================
+
+  const FOCUSABLE = 'a[href], area[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), ' +
+    'textarea:not([disabled]), iframe, video[controls], [tabindex]:not([tabindex="-1"])';
+
+  let scrollLocks = 0;
+  let savedBodyStyle = null;
+
+  function prefersReducedMotion() {
+    return !!(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches);
+  }
+
+  /**
+   * Stop the page behind scrolling; counted so nested overlays unlock once
+   */
+  function lockScroll() {
+    if (scrollLocks++ > 0) return;
+
+    const body = document.body;
+    const scrollbar = window.innerWidth - document.documentElement.clientWidth;
+    savedBodyStyle = { overflow: body.style.overflow, paddingRight: body.style.paddingRight };
+    body.style.overflow = 'hidden';
+    // Keep the layout from shifting when the scrollbar disappears
+    if (scrollbar > 0) {
+      body.style.paddingRight = `${(parseFloat(getComputedStyle(body).paddingRight) || 0) + scrollbar}px`;
+    }
+  }
+
+  function unlockScroll() {
+    if (scrollLocks === 0 || --scrollLocks > 0) return;
+
+    document.body.style.overflow = savedBodyStyle.overflow;
+    document.body.style.paddingRight = savedBodyStyle.paddingRight;
+    savedBodyStyle = null;
+  }
+
+  /**
+   * ModalOverlay - turns a full-screen ad overlay into a modal dialog:
+   * labelled role="dialog", the rest of the page inert, focus moved in
+   * and kept there, Escape handling and a background scroll lock.
+   * release() puts focus back where it was.
+   */
+  class ModalOverlay {
+    constructor(element, options = {}) {
+      this.options = {
+        label: options.label || 'Advertisement', // accessible name of the dialog
+        onEscape: options.onEscape || null, // Escape pressed inside the dialog
+        ...options
+      };
+
+      this.element = element;
+      this.active = false;
+      this.previousFocus = null;
+      this.inerted = [];
+      this.onKeyDown = (e) => this.handleKeyDown(e);
+      this.onFocusIn = (e) => this.handleFocusIn(e);
+
+      element.setAttribute('role', 'dialog');
+      element.setAttribute('aria-modal', 'true');
+      element.setAttribute('aria-label', this.options.label);
+      element.tabIndex = -1;
+    }
+
+    activate(initialFocus = null) {
+      if (this.active) return;
+      this.active = true;
+      this.previousFocus = document.activeElement;
+
+      // Take the page out of the tab order and the accessibility tree
+      this.inerted = Array.from(document.body.children).filter(el =>
+        el !== this.element &&
+        !['SCRIPT', 'STYLE', 'LINK'].includes(el.tagName) &&
+        !el.hasAttribute('inert') &&
+        el.getAttribute('aria-hidden') !== 'true'
+      );
+      this.inerted.forEach(el => {
+        el.setAttribute('inert', '');
+        el.setAttribute('aria-hidden', 'true');
+      });
+
+      lockScroll();
+      document.addEventListener('keydown', this.onKeyDown, true);
+      document.addEventListener('focusin', this.onFocusIn);
+      (initialFocus || this.element).focus({ preventScroll: true });
+    }
+
+    focusable() {
+      return Array.from(this.element.querySelectorAll(FOCUSABLE))
+        .filter(el => el.getClientRects().length > 0);
+    }
+
+    handleKeyDown(e) {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        e.stopPropagation();
+        if (this.options.onEscape) this.options.onEscape();
+        return;
+      }
+      if (e.key !== 'Tab') return;
+
+      // Wrap Tab / Shift+Tab around the dialog's controls
+      const focusable = this.focusable();
+      const current = document.activeElement;
+      if (!focusable.length) {
+        e.preventDefault();
+        this.element.focus({ preventScroll: true });
+      } else if (e.shiftKey && (current === focusable[0] || current === this.element)) {
+        e.preventDefault();
+        focusable[focusable.length - 1].focus();
+      } else if (!e.shiftKey && current === focusable[focusable.length - 1]) {
+        e.preventDefault();
+        focusable[0].focus();
+      }
+    }
+
+    handleFocusIn(e) {
+      // Browsers without `inert` can still focus the page behind
+      if (!this.element.contains(e.target)) {
+        this.element.focus({ preventScroll: true });
+      }
+    }
+
+    release() {
+      if (!this.active) return;
+      this.active = false;
+
+      document.removeEventListener('keydown', this.onKeyDown, true);
+      document.removeEventListener('focusin', this.onFocusIn);
+      unlockScroll();
+      this.inerted.forEach(el => {
+        el.removeAttribute('inert');
+        el.removeAttribute('aria-hidden');
+      });
+      this.inerted = [];
+
+      const previous = this.previousFocus;
+      this.previousFocus = null;
+      if (previous && previous.isConnected && typeof previous.focus === 'function') {
+        previous.focus({ preventScroll: true });
+      }
+    }
+  }
+
+  // ============================================================
+  // INTERSTITIAL AD
+  // ============================================================
+
+  const PACING_KEY = 'buzzer_interstitial_pacing';
+  const PAGEVIEW_KEY = 'buzzer_session_pageviews';
+
+  let sessionPageview = 0;
+
+  /**
+   * JSON state in localStorage / sessionStorage (by name - merely touching
+   * them throws when storage is blocked)
+   */
+  function readStorage(storage, key) {
+    try {
+      return JSON.parse(window[storage].getItem(key) || '{}');
+    } catch {
+      return {};
+    }
+  }
+
+  function writeStorage(storage, key, value) {
+    try {
+      window[storage].setItem(key, JSON.stringify(value));
+    } catch {
+      // Storage full or blocked - pacing falls back to this page only
+    }
+  }
+
+  /**
+   * Pageviews so far this session, this one included (counted once per
+   * page load however many interstitials are set up)
+   */
+  function countPageview() {
+    if (!sessionPageview) {
+      const state = readStorage('sessionStorage', PAGEVIEW_KEY);
+      sessionPageview = (state.count || 0) + 1;
+      writeStorage('sessionStorage', PAGEVIEW_KEY, { count: sessionPageview });
+    }
+    return sessionPageview;
+  }
+
+  function isMobileDevice() {
+    return /Mobi|Android|iPhone|iPad|iPod/i.test(navigator.userAgent) ||
+      (window.matchMedia && window.matchMedia('(pointer: coarse) and (max-width: 767px)').matches);
+  }
+
+  class BuzzerInterstitial extends BuzzerEmitter {
+    constructor(options = {}) {
+      super('interstitial');
+      options = { ...configDefaults('interstitial'), ...options };
+      this.options = {
+        zoneId: options.zoneId,
+        onClose: options.onClose || null,
+        closeAfter: options.closeAfter || 5, // seconds before close button appears
+        verifications: options.verifications || [], // third-party verification scripts
+        ttl: options.ttl || 30 * 60 * 1000, // ms a preloaded ad stays fresh
+        onReady: options.onReady || null, // creative frame loaded - not a fill signal, see isReady()
+        onExpire: options.onExpire || null, // preloaded ad went stale and was dropped
+        // Automatic display - see init()
+        trigger: options.trigger || 'manual', // 'manual', 'pageview', 'navigation', 'exit' or 'timer'
+        everyPageviews: options.everyPageviews || 3, // 'pageview': every N-th page of the session
+        delay: options.delay || 30, // 'timer': seconds on the page
+        // Pacing, shared by every triggered interstitial on the site
+        minInterval: options.minInterval ?? 180, // seconds between interstitials
+        maxPerSession: options.maxPerSession ?? 3,
+        maxPerDay: options.maxPerDay ?? 6,
+        ...options
+      };
+
+      this.pageview = 0;
+      this.pendingUrl = null;
+      this.triggerCleanup = null;
+      this.overlay = null;
+      this.adContainer = null;
+      this.iframe = null;
+      this.timerDisplay = null;
+      this.closeButton = null;
+      this.modal = null;
+      this.timer = null;
+      this.verification = null;
+      this.preloading = null;
+      this.settlePreload = null;
+      this.loaded = false;
+      this.clicked = false;
+      this.readyAt = null;
+      this.expiryTimer = null;
+      this.onWindowBlur = () => this.detectFrameClick();
+    }
+
+    /**
+     * Arm the configured trigger. The interstitial then shows itself when
+     * pacing allows:
+     * - pageview:   on every `everyPageviews`-th page of the session
+     * - navigation: between pages, when an internal link is followed
+     * - exit:       when the pointer leaves towards the browser chrome (desktop)
+     * - timer:      after `delay` seconds on the page
+     */
+    init() {
+      this.pageview = countPageview();
+      const trigger = this.options.trigger;
+      if (trigger === 'manual' || !this.canShow(trigger)) return;
+
+      switch (trigger) {
+        case 'pageview':
+          if (this.pageview % this.options.everyPageviews === 0) {
+            // A preload torn down before it loaded resolves false
+            this.preload().then(ready => {
+              if (ready) this.tryShow(trigger);
+            });
+          }
+          break;
+
+        case 'navigation': {
+          this.preload();
+          const onClick = (e) => this.onLinkClick(e);
+          document.addEventListener('click', onClick);
+          this.triggerCleanup = () => document.removeEventListener('click', onClick);
+          break;
+        }
+
+        case 'exit': {
+          if (isMobileDevice()) return; // no reliable exit intent on touch
+          this.preload();
+          const onMouseOut = (e) => {
+            if (e.relatedTarget || e.clientY > 0) return;
+            if (this.tryShow(trigger)) this.disarm();
+          };
+          document.addEventListener('mouseout', onMouseOut);
+          this.triggerCleanup = () => document.removeEventListener('mouseout', onMouseOut);
+          break;
+        }
+
+        case 'timer': {
+          this.preload();
+          const timer = setTimeout(() => this.tryShow(trigger), this.options.delay * 1000);
+          this.triggerCleanup = () => clearTimeout(timer);
+          break;
+        }
+
+        default:
+          console.error(`Unknown interstitial trigger: ${trigger}`);
+      }
+    }
+
+    disarm() {
+      if (this.triggerCleanup) this.triggerCleanup();
+      this.triggerCleanup = null;
+    }
+
+    /**
+     * Pacing and placement rules for automatic display
+     */
+    canShow(trigger = this.options.trigger) {
+      // Google's intrusive-interstitial guidance: nothing over the page a
+      // mobile visitor lands on. Between-page ads on navigation are fine.
+      if (isMobileDevice() && this.pageview <= 1 && trigger !== 'navigation') return false;
+
+      const pacing = readStorage('localStorage', PACING_KEY);
+      const session = readStorage('sessionStorage', PACING_KEY);
+      const today = new Date().toDateString();
+
+      if (pacing.lastShown && Date.now() - pacing.lastShown < this.options.minInterval * 1000) return false;
+      if ((session.count || 0) >= this.options.maxPerSession) return false;
+      if (pacing.day === today && (pacing.dayCount || 0) >= this.options.maxPerDay) return false;
+      return true;
+    }
+
+    recordShow() {
+      const pacing = readStorage('localStorage', PACING_KEY);
+      const session = readStorage('sessionStorage', PACING_KEY);
+      const today = new Date().toDateString();
+
+      writeStorage('localStorage', PACING_KEY, {
+        lastShown: Date.now(),
+        day: today,
+        dayCount: (pacing.day === today ? pacing.dayCount || 0 : 0) + 1
+      });
+      writeStorage('sessionStorage', PACING_KEY, { count: (session.count || 0) + 1 });
+    }
+
+    /**
+     * Show if pacing allows; returns whether it did
+     */
+    tryShow(trigger = this.options.trigger) {
+      if (this.overlay?.style.display === 'flex' || !this.canShow(trigger)) return false;
+
+      this.recordShow();
+      this.show().catch(() => {});
+      return true;
+    }
+
+    /**
+     * Internal link followed - show the interstitial now and carry on to
+     * the link once it's closed
+     */
+    onLinkClick(e) {
+      const link = e.target.closest && e.target.closest('a[href]');
+      if (!link || e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+      if (link.target && link.target !== '_self') return;
+      if (link.hasAttribute('download')) return;
+
+      const url = new URL(link.href, window.location.href);
+      if (url.origin !== window.location.origin) return;
+      if (url.pathname === window.location.pathname && url.search === window.location.search) return; // same-page anchor
+
+      if (!this.tryShow('navigation')) return;
+      e.preventDefault();
+      this.disarm();
+      this.pendingUrl = url.href;
+    }
+
+    /**
+     * Load the creative off-screen ahead of show(). Resolves true once the
+     * frame has loaded (onReady fires too), false if it was discarded first.
+     */
+    preload() {
+      if (this.preloading) return this.preloading;
+
+      this.build();
+      this.emit('request', { zoneId: this.options.zoneId });
+      this.preloading = new Promise(resolve => {
+        this.settlePreload = resolve;
+        this.iframe.addEventListener('load', () => {
+          this.loaded = true;
+          this.settlePreload = null;
+          this.emit('loaded', { zoneId: this.options.zoneId });
+          if (this.overlay.style.display === 'none') {
+            this.readyAt = Date.now();
+            this.expiryTimer = setTimeout(() => this.expire(), this.options.ttl);
+            if (this.options.onReady) this.options.onReady();
+          }
+          resolve(true);
+        }, { once: true });
+      });
+      return this.preloading;
+    }
+
+    /**
+     * The preloaded frame has loaded and hasn't gone stale. The served
+     * zone can't tell us across origins whether it filled, so a no-fill or
+     * error page counts as loaded too. This means "can show without
+     * waiting", not "has an ad".
+     */
+    isReady() {
+      return !!this.readyAt && Date.now() - this.readyAt < this.options.ttl;
+    }
+
+    expire() {
+      this.discard();
+      if (this.options.onExpire) this.options.onExpire();
+    }
+
+    discard() {
+      clearTimeout(this.expiryTimer);
+      window.removeEventListener('blur', this.onWindowBlur);
+      if (this.settlePreload) this.settlePreload(false);
+      if (this.modal) this.modal.release();
+      if (this.overlay) this.overlay.remove();
+      this.modal = null;
+      this.overlay = null;
+      this.iframe = null;
+      this.preloading = null;
+      this.settlePreload = null;
+      this.loaded = false;
+      this.clicked = false;
+      this.readyAt = null;
+    }
+
+    build() {
+      // Create overlay (hidden until show())
       this.overlay = document.createElement('div');
       this.overlay.style.cssText = `
         position: fixed;
@@ -284,14 +3371,22 @@
         height: 100%;
         background: rgba(0,0,0,0.9);
         z-index: 999999;
-        display: flex;
+        display: none;
         justify-content: center;
         align-items: center;
         flex-direction: column;
       `;
+      this.modal = new ModalOverlay(this.overlay, {
+        label: 'Advertisement',
+        // Same rule as the button: no closing before the countdown ends
+        onEscape: () => {
+          if (this.closeButton.style.display !== 'none') this.close();
+        }
+      });
 
       // Create ad container
       const adContainer = document.createElement('div');
+      this.adContainer = adContainer;
       adContainer.style.cssText = `
         background: #fff;
         border-radius: 12px;
@@ -303,17 +3398,21 @@
 
       // Create iframe for ad
       const iframe = document.createElement('iframe');
-      iframe.src = `${BUZZER_API}/ads/serve/${this.options.zoneId}?cb=${Date.now()}`;
+      iframe.src = apiUrl(`/ads/serve/${this.options.zoneId}`, { cb: Date.now() });
+      iframe.title = 'Advertisement';
       iframe.width = '336';
       iframe.height = '280';
       iframe.style.border = 'none';
       iframe.style.display = 'block';
+      this.iframe = iframe;
 
       adContainer.appendChild(iframe);
 
       // Create close button (hidden initially)
       this.closeButton = document.createElement('button');
+      this.closeButton.type = 'button';
       this.closeButton.innerHTML = '×';
+      this.closeButton.setAttribute('aria-label', 'Close ad');
       this.closeButton.style.cssText = `
         position: absolute;
         top: -15px;
@@ -335,17 +3434,51 @@
 
       // Timer display
       const timerDisplay = document.createElement('div');
+      timerDisplay.setAttribute('role', 'timer');
       timerDisplay.style.cssText = `
         color: #fff;
         font-size: 14px;
         margin-top: 20px;
       `;
 
+      this.timerDisplay = timerDisplay;
       this.overlay.appendChild(adContainer);
       this.overlay.appendChild(timerDisplay);
       document.body.appendChild(this.overlay);
+    }
+
+    /**
+     * Put the interstitial on screen. Resolves once the creative has
+     * loaded; rejects if the ad is torn down before it does.
+     */
+    async show() {
+      // Already on screen - keep the one countdown and impression
+      if (this.overlay && this.overlay.style.display === 'flex') return;
+
+      // Stale preloads are thrown away; without one we load in view
+      if (this.readyAt && !this.isReady()) this.discard();
+      const loading = this.preload();
+      clearTimeout(this.expiryTimer);
+      this.readyAt = null;
+      this.overlay.style.display = 'flex';
+      this.modal.activate();
+      window.addEventListener('blur', this.onWindowBlur);
+
+      this.verification = createVerificationSession({
+        element: this.adContainer,
+        mediaType: 'display',
+        verifications: this.options.verifications
+      });
+      const reportImpression = () => {
+        this.emit('impression', { zoneId: this.options.zoneId });
+        this.verification?.dispatch('loaded');
+        this.verification?.dispatch('impression', { mediaType: 'display', creativeType: 'htmlDisplay' });
+      };
+      if (this.loaded) reportImpression();
+      else this.iframe.addEventListener('load', reportImpression, { once: true });
 
       // Countdown timer
+      const timerDisplay = this.timerDisplay;
       let remaining = this.options.closeAfter;
       timerDisplay.textContent = `Close in ${remaining}s`;
 
@@ -355,19 +3488,58 @@
           clearInterval(this.timer);
           timerDisplay.style.display = 'none';
           this.closeButton.style.display = 'flex';
+          // Hand keyboard users the way out unless they're in the creative
+          if (document.activeElement === this.overlay) this.closeButton.focus();
         } else {
           timerDisplay.textContent = `Close in ${remaining}s`;
         }
       }, 1000);
+
+      if (!await loading) {
+        throw new Error('Interstitial was closed before the ad loaded');
+      }
+    }
+
+    /**
+     * Clicks inside the cross-origin creative iframe surface as the page
+     * losing focus to that iframe
+     */
+    detectFrameClick() {
+      setTimeout(() => {
+        if (this.iframe && document.activeElement === this.iframe && !this.clicked) {
+          this.clicked = true;
+          this.emit('click', { zoneId: this.options.zoneId });
+        }
+      }, 0);
     }
 
     close() {
       if (this.timer) clearInterval(this.timer);
-      if (this.overlay) {
-        this.overlay.remove();
-        this.overlay = null;
+      if (this.verification) {
+        this.verification.finish();
+        this.verification = null;
       }
+      this.discard();
+      this.emit('close');
       if (this.options.onClose) this.options.onClose();
+
+      if (this.pendingUrl) {
+        const url = this.pendingUrl;
+        this.pendingUrl = null;
+        window.location.href = url;
+      }
+    }
+
+    destroy() {
+      this.disarm();
+      if (this.timer) clearInterval(this.timer);
+      if (this.verification) {
+        this.verification.finish();
+        this.verification = null;
+      }
+      this.pendingUrl = null;
+      this.discard();
+      this.emit('destroyed');
     }
   }
 
@@ -375,23 +3547,126 @@
   // REWARDED VIDEO AD
   // ============================================================
 
-  class BuzzerRewardedAd {
+  const VERIFY_ATTEMPTS = 5; // the ad server's callback can trail the complete beacon
+  const VERIFY_RETRY_DELAY = 1000; // ms
+
+  /**
+   * BuzzerRewardedAd - full-screen video that earns a reward when watched
+   * to the end.
+   *
+   * Rewards are credited server to server. show() registers the view
+   * with the ad server and tags the VAST request with its id. The ad
+   * server credits the publisher's server only once it receives that
+   * view's VAST complete beacon. The client then asks verifyUrl whether
+   * the credit arrived, so replaying requests from the page earns nothing.
+   */
+  class BuzzerRewardedAd extends BuzzerEmitter {
     constructor(options = {}) {
+      super('rewarded');
+      options = { ...configDefaults('rewarded'), ...options };
       this.options = {
         vastUrl: options.vastUrl,
         rewardType: options.rewardType || 'coins',
         rewardAmount: options.rewardAmount || 100,
+        verifyUrl: options.verifyUrl || null, // publisher endpoint: was this view credited?
+        viewUrl: options.viewUrl || apiUrl('/ads/rewarded/view'), // registers the view with the ad server
+        userId: options.userId || null, // publisher's user, bound into the view
+        customData: options.customData || null, // passed to the publisher's server with the credit
+        requireVerification: options.requireVerification ?? true, // false = client-side reward (demos only)
+        verifyTimeout: options.verifyTimeout || 10000,
+        ttl: options.ttl || 30 * 60 * 1000, // ms a preloaded ad stays fresh
+        cacheMedia: options.cacheMedia ?? false, // download the whole video while preloading
+        controls: options.controls ?? true, // pause / mute / volume / fullscreen bar on the player
+        onReady: options.onReady || null,
+        onExpire: options.onExpire || null, // preloaded ad went stale and was dropped
         onReward: options.onReward || null,
         onClose: options.onClose || null,
         onError: options.onError || null,
         ...options
       };
 
+      // Fail at setup, not after the viewer has sat through the ad
+      if (this.options.requireVerification && !this.options.verifyUrl) {
+        throw new Error('Rewarded ads need a verifyUrl (or requireVerification: false for demos)');
+      }
+
       this.overlay = null;
+      this.modal = null;
+      this.player = null;
+      this.videoContainer = null;
+      this.view = null; // resolves with the registered view's id (null when unverified)
+      this.outcome = null; // { resolve, reject } of the promise show() returned
+      this.preloading = null;
+      this.readyAt = null;
+      this.expiryTimer = null;
+    }
+
+    /**
+     * Fetch the VAST and buffer the video ahead of show(), so a "watch to
+     * earn" button can wait for isReady(). Resolves true when an ad is
+     * ready (onReady fires too), false when there's none.
+     */
+    preload() {
+      if (this.preloading) return this.preloading;
+
+      this.createPlayer();
+      const player = this.player;
+      let failure = null;
+      this.preloading = this.view
+        .then(() => player.preload())
+        .catch(error => {
+          console.error('Rewarded ad preload error:', error);
+          failure = error;
+          return false;
+        })
+        .then(ready => {
+          if (this.overlay) return ready; // already on screen - load() takes it from here
+          if (!ready) {
+            failure = failure || player.lastError;
+            this.emit(failureEvent(failure), { error: failure });
+            this.discard();
+            return false;
+          }
+
+          this.readyAt = Date.now();
+          this.expiryTimer = setTimeout(() => this.expire(), this.options.ttl);
+          if (this.options.onReady) this.options.onReady();
+          return true;
+        });
+      return this.preloading;
+    }
+
+    isReady() {
+      return !!this.readyAt && Date.now() - this.readyAt < this.options.ttl;
+    }
+
+    expire() {
+      this.discard();
+      if (this.options.onExpire) this.options.onExpire();
+    }
+
+    discard() {
+      clearTimeout(this.expiryTimer);
+      if (this.player) this.player.destroy();
       this.player = null;
+      this.view = null;
+      this.videoContainer = null;
+      this.preloading = null;
+      this.readyAt = null;
     }
 
+    /**
+     * Show the ad. Resolves with the reward once it's confirmed, or null
+     * if the viewer closed the ad first; rejects when no ad could be
+     * played or the reward couldn't be verified.
+     */
     show() {
+      // Stale preloads are thrown away; without one we load in view
+      if (this.readyAt && !this.isReady()) this.discard();
+      if (!this.player) this.createPlayer();
+      clearTimeout(this.expiryTimer);
+      this.readyAt = null;
+
       // Create overlay
       this.overlay = document.createElement('div');
       this.overlay.style.cssText = `
@@ -407,6 +3682,31 @@
         align-items: center;
         flex-direction: column;
       `;
+      // Leaving early forfeits the reward, but it must always be possible
+      this.modal = new ModalOverlay(this.overlay, {
+        label: `Rewarded ad: watch to earn ${this.options.rewardAmount} ${this.options.rewardType}`,
+        onEscape: () => this.close()
+      });
+
+      const closeButton = document.createElement('button');
+      closeButton.type = 'button';
+      closeButton.innerHTML = '×';
+      closeButton.setAttribute('aria-label', 'Close ad without reward');
+      closeButton.style.cssText = `
+        position: absolute;
+        top: 16px;
+        right: 16px;
+        width: 36px;
+        height: 36px;
+        border-radius: 50%;
+        background: rgba(255,255,255,0.15);
+        color: #fff;
+        border: none;
+        font-size: 24px;
+        cursor: pointer;
+        line-height: 1;
+      `;
+      closeButton.addEventListener('click', () => this.close());
 
       // Reward preview
       const rewardPreview = document.createElement('div');
@@ -416,46 +3716,164 @@
         margin-bottom: 20px;
       `;
       rewardPreview.innerHTML = `
-        <div style="font-size: 24px; margin-bottom: 8px;">🎁 Watch to earn</div>
+        <div style="font-size: 24px; margin-bottom: 8px;"><span aria-hidden="true">🎁</span> Watch to earn</div>
         <div style="font-size: 36px; font-weight: bold; color: #22c55e;">
           +${this.options.rewardAmount} ${this.options.rewardType}
         </div>
       `;
 
-      // Video container
-      const videoContainer = document.createElement('div');
-      videoContainer.style.cssText = `
+      this.overlay.appendChild(closeButton);
+      this.overlay.appendChild(rewardPreview);
+      this.overlay.appendChild(this.videoContainer);
+      document.body.appendChild(this.overlay);
+      this.modal.activate();
+
+      const outcome = new Promise((resolve, reject) => {
+        this.outcome = { resolve, reject };
+      });
+      const player = this.player;
+      this.view.then(
+        () => player.load().catch(() => {}), // failures arrive through onError
+        error => {
+          if (player !== this.player) return; // closed meanwhile
+          console.error('Rewarded view could not be registered:', error);
+          this.emit('error', { error });
+          this.fail(error);
+        }
+      );
+      return outcome;
+    }
+
+    fail(error) {
+      this.settle('reject', error);
+      if (this.options.onError) this.options.onError(error);
+      this.close();
+    }
+
+    settle(method, value) {
+      const outcome = this.outcome;
+      this.outcome = null;
+      if (outcome) outcome[method](value);
+    }
+
+    createPlayer() {
+      this.videoContainer = document.createElement('div');
+      this.videoContainer.style.cssText = `
+        width: min(640px, 92vw);
         background: #000;
         border-radius: 12px;
         overflow: hidden;
       `;
 
-      this.overlay.appendChild(rewardPreview);
-      this.overlay.appendChild(videoContainer);
-      document.body.appendChild(this.overlay);
-
-      // Initialize player
-      this.player = new BuzzerVideoPlayer(videoContainer, {
+      this.player = new BuzzerVideoPlayer(this.videoContainer, {
         vastUrl: this.options.vastUrl,
         width: 640,
         height: 360,
+        fluid: true,
         autoplay: true,
         muted: false,
-        skipOffset: null, // No skip for rewarded
-        onComplete: () => {
-          this.grantReward();
+        mutedAutoplayFallback: false, // rewarded needs sound - ask for a click instead
+        rewarded: true,
+        controls: this.options.controls,
+        cacheMedia: this.options.cacheMedia,
+        onComplete: async () => {
+          const view = this.view;
+          const outcome = this.outcome;
+          this.outcome = null; // not a close without reward - settled below
           this.close();
+          try {
+            const reward = this.options.requireVerification
+              ? await this.verifyReward(await view)
+              : { type: this.options.rewardType, amount: this.options.rewardAmount };
+            this.grantReward(reward);
+            if (outcome) outcome.resolve(reward);
+          } catch (error) {
+            console.error('Reward verification failed:', error);
+            this.emit('error', { error });
+            if (this.options.onError) this.options.onError(error);
+            if (outcome) outcome.reject(error);
+          }
         },
-        onError: (error) => {
-          if (this.options.onError) this.options.onError(error);
-          this.close();
-        }
+        onSkip: () => this.fail(new Error('Rewarded ad was skipped')),
+        onError: (error) => this.fail(error)
+      });
+      this.player.relay = this;
+
+      // Verified views are registered before the VAST request, so the ad
+      // server can match this view's complete beacon to its reward
+      const player = this.player;
+      this.view = this.options.requireVerification
+        ? this.registerView().then(viewId => {
+          const vastUrl = new URL(this.options.vastUrl, window.location.href);
+          vastUrl.searchParams.set('viewId', viewId);
+          player.options.vastUrl = vastUrl.href;
+          return viewId;
+        })
+        : Promise.resolve(null);
+      this.view.catch(() => {}); // handled by preload() / show()
+    }
+
+    /**
+     * Register a rewarded view with the ad server, bound to the user and
+     * reward. The ad server credits it server to server on the view's
+     * VAST complete beacon.
+     */
+    async registerView() {
+      const response = await this.post(this.options.viewUrl, {
+        vastUrl: this.options.vastUrl,
+        userId: this.options.userId,
+        rewardType: this.options.rewardType,
+        rewardAmount: this.options.rewardAmount,
+        customData: this.options.customData,
+        publisherId: config.publisherId,
+        pageUrl: window.location.href
       });
+      const data = await response.json();
+      if (!data.viewId) throw new Error('Rewarded view was not registered');
+      return data.viewId;
+    }
+
+    /**
+     * Ask the publisher's server whether the ad server credited this view.
+     * Resolves with the credited reward; anything else rejects. The credit
+     * itself already happened server-side; onReward is for the UI.
+     */
+    async verifyReward(viewId) {
+      for (let attempt = 1; ; attempt++) {
+        const response = await this.post(this.options.verifyUrl, {
+          viewId,
+          userId: this.options.userId
+        });
+        const data = await response.json();
+        if (data.verified) {
+          return data.reward || { type: this.options.rewardType, amount: this.options.rewardAmount };
+        }
+        if (!data.pending || attempt >= VERIFY_ATTEMPTS) {
+          throw new Error(data.error || 'Reward was not verified');
+        }
+        await new Promise(resolve => setTimeout(resolve, VERIFY_RETRY_DELAY));
+      }
+    }
 
-      this.player.load();
+    async post(url, body) {
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), this.options.verifyTimeout);
+
+      try {
+        const response = await fetch(url, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(body),
+          signal: controller.signal
+        });
+        if (!response.ok) throw new Error(`HTTP ${response.status} from ${url}`);
+        return response;
+      } finally {
+        clearTimeout(timer);
+      }
     }
 
-    grantReward() {
+    grantReward(reward) {
       // Show reward animation
       const rewardPopup = document.createElement('div');
       rewardPopup.style.cssText = `
@@ -470,30 +3888,44 @@
         font-size: 28px;
         font-weight: bold;
         z-index: 1000000;
-        animation: popIn 0.3s ease-out;
+        ${prefersReducedMotion() ? '' : 'animation: popIn 0.3s ease-out;'}
       `;
-      rewardPopup.innerHTML = `🎉 +${this.options.rewardAmount} ${this.options.rewardType}!`;
-
+      // Live region first, text second, so screen readers announce it
+      rewardPopup.setAttribute('role', 'status');
       document.body.appendChild(rewardPopup);
+      rewardPopup.textContent = `🎉 +${reward.amount} ${reward.type}!`;
 
+      this.emit('reward', { reward });
       setTimeout(() => {
         rewardPopup.remove();
         if (this.options.onReward) {
-          this.options.onReward({
-            type: this.options.rewardType,
-            amount: this.options.rewardAmount
-          });
+          this.options.onReward(reward);
         }
       }, 2000);
     }
 
     close() {
-      if (this.player) this.player.destroy();
+      if (this.player) this.player.close();
+      this.player = null;
+      this.teardown();
+      this.emit('close');
+      if (this.options.onClose) this.options.onClose();
+    }
+
+    destroy() {
+      this.teardown();
+      this.emit('destroyed');
+    }
+
+    teardown() {
+      this.settle('resolve', null); // closed before the reward
+      this.discard();
+      if (this.modal) this.modal.release();
+      this.modal = null;
       if (this.overlay) {
         this.overlay.remove();
         this.overlay = null;
       }
-      if (this.options.onClose) this.options.onClose();
     }
   }
 
@@ -501,53 +3933,863 @@
   // OUTSTREAM VIDEO (Auto-plays in content)
   // ============================================================
 
-  class BuzzerOutstream {
+  const STICKY_CORNERS = {
+    'bottom-right': ['bottom', 'right'],
+    'bottom-left': ['bottom', 'left'],
+    'top-right': ['top', 'right'],
+    'top-left': ['top', 'left']
+  };
+
+  /**
+   * BuzzerOutstream - in-article video that loads once the slot is in
+   * view and only plays while it stays there. With `sticky` the player
+   * docks to a corner when the reader scrolls past the slot.
+   */
+  class BuzzerOutstream extends BuzzerEmitter {
     constructor(container, options = {}) {
+      super('outstream');
+      options = { ...configDefaults('outstream'), ...options };
       this.container = typeof container === 'string'
         ? document.querySelector(container)
         : container;
 
       this.options = {
         vastUrl: options.vastUrl,
+        aspectRatio: options.aspectRatio || null, // e.g. '9 / 16', defaults to 16:9
+        threshold: options.threshold ?? 0.5, // share of the player in view to start and keep playing
+        collapseOnComplete: options.collapseOnComplete ?? true, // shrink the slot away when the ad ends
+        sticky: options.sticky ?? false, // dock to a corner once scrolled past
+        stickyPosition: options.stickyPosition || 'bottom-right', // 'bottom-right', 'bottom-left', 'top-right' or 'top-left'
+        stickyWidth: options.stickyWidth || 320, // px while docked
+        stickyOffset: options.stickyOffset ?? 16, // px from the viewport edges
+        controls: options.controls ?? true, // starts muted, so the viewer needs the mute toggle
+        onComplete: options.onComplete || null,
+        onDock: options.onDock || null,
+        onUndock: options.onUndock || null,
+        onStickyClose: options.onStickyClose || null, // reader closed the docked player
         ...options
       };
 
       this.observer = null;
       this.player = null;
+      this.frame = null;
       this.hasPlayed = false;
+      this.inView = false;
+      this.pausedOutOfView = false;
+      this.docked = false;
+      this.stickyClosed = false;
+      this.finished = false;
+      this.placeholderHeight = '';
+      this.closeButton = null;
+      this.onVisibilityChange = () => this.updatePlayback();
     }
 
     init() {
-      // Set up intersection observer for lazy loading
+      // Crossing 0 tells us when the slot is scrolled past, crossing the
+      // threshold when it's viewable
       this.observer = new IntersectionObserver((entries) => {
-        entries.forEach(entry => {
-          if (entry.isIntersecting && !this.hasPlayed) {
-            this.load();
-            this.hasPlayed = true;
-          }
-        });
-      }, { threshold: 0.5 });
+        entries.forEach(entry => this.onIntersect(entry));
+      }, { threshold: [0, this.options.threshold] });
 
       this.observer.observe(this.container);
+      document.addEventListener('visibilitychange', this.onVisibilityChange);
+    }
+
+    onIntersect(entry) {
+      this.inView = entry.isIntersecting && entry.intersectionRatio >= this.options.threshold;
+
+      if (!this.hasPlayed) {
+        if (this.inView) {
+          this.hasPlayed = true;
+          this.load().catch(() => {}); // reported as an error / noFill event
+        }
+        return;
+      }
+
+      if (this.options.sticky && !this.stickyClosed && !this.finished) {
+        if (this.inView) {
+          this.undock();
+        } else if (entry.boundingClientRect.top < 0) {
+          this.dock(); // scrolled past, not just not reached yet
+        }
+      }
+      this.updatePlayback();
     }
 
+    /**
+     * Resolves once the ad plays; rejects with a VastError when there's
+     * none. init() calls this when the slot comes into view.
+     */
     async load() {
-      this.player = new BuzzerVideoPlayer(this.container, {
+      // The player lives in its own frame so it can leave the slot when docked
+      this.frame = document.createElement('div');
+      this.frame.style.position = 'relative';
+      this.container.appendChild(this.frame);
+
+      this.player = new BuzzerVideoPlayer(this.frame, {
         vastUrl: this.options.vastUrl,
-        width: this.container.offsetWidth || 640,
+        width: 640,
         height: 360,
+        fluid: true,
+        aspectRatio: this.options.aspectRatio,
         autoplay: true,
         muted: true,
-        onComplete: () => {
-          // Collapse when done
-          this.container.style.height = '0';
-          this.container.style.overflow = 'hidden';
-          this.container.style.transition = 'height 0.3s';
-        }
+        controls: this.options.controls,
+        // An ad that finished loading while out of view waits until it's back
+        onAutoplay: () => this.updatePlayback(),
+        onComplete: () => this.complete()
       });
+      this.player.relay = this;
 
       await this.player.load();
     }
+
+    /**
+     * Pause while the player is out of view (or the tab is hidden) and
+     * resume when it's back. Pauses the viewer made are left alone.
+     */
+    updatePlayback() {
+      const video = this.player?.videoElement;
+      if (!video || this.finished) return;
+
+      const visible = (this.inView || this.docked) && document.visibilityState === 'visible';
+      if (!visible && !video.paused) {
+        this.pausedOutOfView = true;
+        video.pause();
+      } else if (visible && this.pausedOutOfView) {
+        this.pausedOutOfView = false;
+        video.play().catch(() => {});
+      }
+    }
+
+    dock() {
+      if (this.docked) return;
+      this.docked = true;
+
+      // Hold the slot open so the article doesn't jump
+      this.placeholderHeight = this.container.style.minHeight;
+      this.container.style.minHeight = `${this.container.offsetHeight}px`;
+
+      const [vertical, horizontal] = STICKY_CORNERS[this.options.stickyPosition] || STICKY_CORNERS['bottom-right'];
+      this.frame.style.cssText = `
+        position: fixed;
+        ${vertical}: ${this.options.stickyOffset}px;
+        ${horizontal}: ${this.options.stickyOffset}px;
+        width: min(${this.options.stickyWidth}px, 60vw);
+        z-index: 999990;
+        box-shadow: 0 8px 24px rgba(0,0,0,0.4);
+        border-radius: 8px;
+        overflow: hidden;
+      `;
+
+      if (!this.closeButton) {
+        this.closeButton = document.createElement('button');
+        this.closeButton.type = 'button';
+        this.closeButton.innerHTML = '×';
+        this.closeButton.setAttribute('aria-label', 'Close ad');
+        this.closeButton.style.cssText = 'position:absolute;top:4px;right:4px;width:28px;height:28px;border-radius:50%;border:none;background:rgba(0,0,0,0.7);color:#fff;font-size:18px;cursor:pointer;z-index:20;line-height:1;';
+        this.closeButton.addEventListener('click', () => this.closeSticky());
+      }
+      this.frame.appendChild(this.closeButton);
+
+      this.trackSticky('dock');
+      this.emit('dock');
+      if (this.options.onDock) this.options.onDock();
+    }
+
+    undock() {
+      if (!this.docked) return;
+      this.docked = false;
+
+      this.frame.style.cssText = 'position: relative;';
+      this.container.style.minHeight = this.placeholderHeight;
+      if (this.closeButton) this.closeButton.remove();
+
+      this.trackSticky('undock');
+      this.emit('undock');
+      if (this.options.onUndock) this.options.onUndock();
+    }
+
+    /**
+     * Reader closed the docked player - the ad ends there
+     */
+    closeSticky() {
+      this.trackSticky('close');
+      this.stickyClosed = true;
+      this.finished = true;
+      this.undock();
+      if (this.player) this.player.close();
+      this.player = null;
+      this.collapse();
+      this.emit('close');
+      if (this.options.onStickyClose) this.options.onStickyClose();
+    }
+
+    trackSticky(event) {
+      const img = new Image();
+      img.src = apiUrl('/ads/log', { type: 'outstream', event: `sticky_${event}`, cb: Date.now() });
+    }
+
+    complete() {
+      this.finished = true;
+      this.undock();
+      if (this.options.collapseOnComplete) this.collapse();
+      if (this.options.onComplete) this.options.onComplete();
+    }
+
+    collapse() {
+      this.container.style.height = `${this.container.offsetHeight}px`;
+      this.container.style.overflow = 'hidden';
+      this.container.style.transition = prefersReducedMotion() ? '' : 'height 0.3s';
+      // Let the fixed height apply first so the transition has a start point
+      requestAnimationFrame(() => {
+        this.container.style.minHeight = '0';
+        this.container.style.height = '0';
+      });
+    }
+
+    destroy() {
+      if (this.observer) this.observer.disconnect();
+      document.removeEventListener('visibilitychange', this.onVisibilityChange);
+      this.undock();
+      if (this.player) this.player.destroy();
+      this.player = null;
+      if (this.frame) this.frame.remove();
+      this.frame = null;
+      this.emit('destroyed');
+    }
+  }
+
+  // ============================================================
+  // CONTENT PLAYER (VMAP AD BREAKS)
+  // ============================================================
+
+  const MAX_PLAYBACK_STEP = 2; // s between timeupdates at 1x; a longer jump is a seek
+
+  /**
+   * Elements of a (namespaced) VMAP document by local name
+   */
+  function vmapElements(node, name) {
+    return [...node.getElementsByTagNameNS('*', name)];
+  }
+
+  /**
+   * BuzzerContentPlayer - runs pre-, mid- and post-roll ad breaks around a
+   * publisher's own <video>, from a VMAP document or a break list:
+   *
+   *   new BuzzerAds.ContentPlayer('#content', {
+   *     breaks: [
+   *       { offset: 'start', vastUrl: '...' },
+   *       { offset: '00:05:00', vastUrl: '...' },  // or 300, or '50%'
+   *       { offset: 'end', vastUrl: '...' },
+   *     ]
+   *   }).init();
+   *
+   * Emits breakStart, breakEnd, contentComplete and error, plus the
+   * lifecycle events of each break's ads.
+   */
+  class BuzzerContentPlayer extends BuzzerEmitter {
+    constructor(video, options = {}) {
+      super('content');
+      options = { ...configDefaults('content'), ...options };
+      this.video = typeof video === 'string'
+        ? document.querySelector(video)
+        : video;
+
+      this.options = {
+        vmapUrl: options.vmapUrl || null,
+        breaks: options.breaks || [], // used when there's no vmapUrl
+        seekOverBreaks: options.seekOverBreaks || 'last', // 'last', 'all' or 'none' - breaks to play after a seek past them
+        vmapTimeout: options.vmapTimeout || 5000,
+        playerOptions: options.playerOptions || {}, // passed to each break's BuzzerVideoPlayer
+        onBreakStart: options.onBreakStart || null,
+        onBreakEnd: options.onBreakEnd || null,
+        onContentComplete: options.onContentComplete || null,
+        onError: options.onError || null,
+        ...options
+      };
+
+      this.breaks = [];
+      this.queue = [];
+      this.currentBreak = null;
+      this.player = null;
+      this.adContainer = null;
+      this.resumeTime = 0;
+      this.lastTime = 0;
+      this.seekFrom = null;
+      this.contentEnded = false;
+      this.listeners = {
+        play: () => this.onContentPlay(),
+        timeupdate: () => this.onContentTimeUpdate(),
+        seeking: () => this.onContentSeeking(),
+        seeked: () => this.onContentSeeked(),
+        ended: () => this.onContentEnded()
+      };
+    }
+
+    async init() {
+      try {
+        const breaks = this.options.vmapUrl
+          ? await this.fetchVmap(this.options.vmapUrl)
+          : this.options.breaks;
+        this.breaks = breaks.map((b, index) => ({
+          id: b.id || `break-${index + 1}`,
+          offset: b.offset ?? 'start',
+          vastUrl: b.vastUrl || null,
+          vastXml: b.vastXml || null,
+          trackingEvents: b.trackingEvents || {},
+          played: false
+        }));
+      } catch (error) {
+        console.error('VMAP load error:', error);
+        this.emit('error', { error });
+        if (this.options.onError) this.options.onError(error);
+        this.breaks = [];
+      }
+
+      Object.entries(this.listeners).forEach(([event, listener]) => {
+        this.video.addEventListener(event, listener);
+      });
+
+      // Content may already be playing when we attach
+      if (!this.video.paused) this.onContentPlay();
+    }
+
+    async fetchVmap(url) {
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), this.options.vmapTimeout);
+
+      try {
+        const response = await fetch(url, { signal: controller.signal });
+        if (!response.ok) throw new Error(`VMAP request failed with HTTP ${response.status}`);
+        return this.parseVmap(await response.text());
+      } finally {
+        clearTimeout(timer);
+      }
+    }
+
+    /**
+     * VMAP 1.0 <AdBreak>s with an <AdTagURI> or inline <VASTAdData>
+     */
+    parseVmap(xml) {
+      const doc = new DOMParser().parseFromString(xml, 'text/xml');
+      if (doc.querySelector('parsererror') || !vmapElements(doc, 'VMAP').length) {
+        throw new Error('Invalid VMAP document');
+      }
+
+      return vmapElements(doc, 'AdBreak')
+        .map(adBreak => {
+          const tagUri = vmapElements(adBreak, 'AdTagURI')[0];
+          const vastData = vmapElements(adBreak, 'VASTAdData')[0];
+          const vast = vastData && [...vastData.children].find(el => el.localName === 'VAST');
+
+          const trackingEvents = {};
+          vmapElements(adBreak, 'Tracking').forEach(t => {
+            const event = t.getAttribute('event');
+            const trackingUrl = t.textContent.trim();
+            if (event && trackingUrl) (trackingEvents[event] = trackingEvents[event] || []).push(trackingUrl);
+          });
+
+          return {
+            id: adBreak.getAttribute('breakId'),
+            offset: adBreak.getAttribute('timeOffset'),
+            vastUrl: tagUri?.textContent?.trim() || null,
+            vastXml: vast ? new XMLSerializer().serializeToString(vast) : null,
+            trackingEvents
+          };
+        })
+        .filter(b => {
+          if (b.vastUrl || b.vastXml) return true;
+          console.warn(`VMAP break ${b.id || b.offset} has no supported ad source`);
+          return false;
+        });
+    }
+
+    /**
+     * Content time of a break in seconds ('start' = 0, 'end' = Infinity,
+     * null while a percentage offset waits for the content duration)
+     */
+    breakTime(adBreak) {
+      const offset = adBreak.offset;
+      if (offset === 'start') return 0;
+      if (offset === 'end') return Infinity;
+      if (typeof offset === 'number') return offset;
+
+      const value = String(offset).trim();
+      if (value.endsWith('%')) {
+        const duration = this.video.duration;
+        return isFinite(duration) ? (parseFloat(value) / 100) * duration : null;
+      }
+      if (value.includes(':')) return parseTimecode(value);
+      const seconds = parseFloat(value);
+      return isNaN(seconds) ? null : seconds;
+    }
+
+    /**
+     * Unplayed breaks scheduled in (from, to]
+     */
+    breaksBetween(from, to) {
+      return this.breaks.filter(b => {
+        const time = this.breakTime(b);
+        return !b.played && time !== null && time !== Infinity && time > from && time <= to;
+      });
+    }
+
+    onContentPlay() {
+      if (this.currentBreak) return;
+      this.contentEnded = false;
+
+      const preroll = this.breaks.filter(b => !b.played && this.breakTime(b) === 0);
+      if (preroll.length) this.playBreaks(preroll);
+    }
+
+    /**
+     * Breaks reached by normal playback. A seek's final timeupdate fires
+     * before 'seeked', so mid-seek updates and jumps longer than a
+     * playback tick go through the seekOverBreaks rule instead.
+     */
+    onContentTimeUpdate() {
+      if (this.currentBreak || this.video.seeking || this.seekFrom !== null) return;
+
+      const time = this.video.currentTime;
+      if (time - this.lastTime > MAX_PLAYBACK_STEP * Math.max(1, this.video.playbackRate)) {
+        const from = this.lastTime;
+        this.lastTime = time;
+        this.seekOverBreaks(from, time);
+        return;
+      }
+
+      const due = this.breaksBetween(this.lastTime, time);
+      this.lastTime = time;
+      if (due.length) this.playBreaks(due);
+    }
+
+    onContentSeeking() {
+      if (this.currentBreak || this.seekFrom !== null) return;
+      this.seekFrom = this.lastTime;
+    }
+
+    onContentSeeked() {
+      if (this.currentBreak) return;
+
+      const from = this.seekFrom ?? this.lastTime;
+      const to = this.video.currentTime;
+      this.seekFrom = null;
+      this.lastTime = to;
+      this.seekOverBreaks(from, to);
+    }
+
+    /**
+     * Seeking forward past unplayed breaks plays the last of them
+     * ('last'), every one ('all') or none; the viewer then continues from
+     * where they seeked to
+     */
+    seekOverBreaks(from, to) {
+      if (to <= from) return;
+
+      const skipped = this.breaksBetween(from, to);
+      const rule = this.options.seekOverBreaks;
+      const due = rule === 'all' ? skipped : (rule === 'last' ? skipped.slice(-1) : []);
+      if (due.length) this.playBreaks(due);
+    }
+
+    onContentEnded() {
+      if (this.currentBreak) return;
+
+      this.contentEnded = true;
+      const postroll = this.breaks.filter(b => !b.played && this.breakTime(b) === Infinity);
+      if (postroll.length) {
+        this.playBreaks(postroll);
+      } else {
+        this.completeContent();
+      }
+    }
+
+    /**
+     * Pause content and run the given breaks back to back
+     */
+    playBreaks(breaks) {
+      this.queue = [...breaks];
+      this.resumeTime = this.video.currentTime;
+      this.video.pause();
+
+      // The ad takes the content video's place on the page
+      this.adContainer = document.createElement('div');
+      this.adContainer.className = 'buzzer-ad-break';
+      this.video.parentNode.insertBefore(this.adContainer, this.video);
+      this.videoDisplay = this.video.style.display;
+      this.adWidth = this.video.offsetWidth || 640;
+      this.adHeight = this.video.offsetHeight || 360;
+      this.video.style.display = 'none';
+
+      this.playNextBreak();
+    }
+
+    playNextBreak() {
+      const adBreak = this.queue.shift();
+      if (!adBreak) {
+        this.resumeContent();
+        return;
+      }
+
+      adBreak.played = true;
+      this.currentBreak = adBreak;
+      this.fireBreakTracking(adBreak, 'breakStart');
+      this.emit('breakStart', { adBreak });
+      if (this.options.onBreakStart) this.options.onBreakStart(adBreak);
+
+      const endBreak = (error = null) => {
+        if (this.currentBreak !== adBreak) return;
+        if (error) {
+          this.fireBreakTracking(adBreak, 'error', { ERRORCODE: error.code || VAST_ERROR.UNDEFINED });
+        }
+        this.fireBreakTracking(adBreak, 'breakEnd');
+        this.emit('breakEnd', { adBreak, error });
+        if (this.options.onBreakEnd) this.options.onBreakEnd(adBreak, error);
+        this.player.destroy();
+        this.player = null;
+        this.playNextBreak();
+      };
+
+      // Fresh slot per break so a finished player can't clear its successor
+      const slot = document.createElement('div');
+      this.adContainer.replaceChildren(slot);
+
+      this.player = new BuzzerVideoPlayer(slot, {
+        autoplay: true,
+        muted: this.video.muted,
+        contentPlayhead: this.resumeTime,
+        ...this.options.playerOptions,
+        vastUrl: adBreak.vastUrl,
+        vastXml: adBreak.vastXml,
+        width: this.adWidth,
+        height: this.adHeight,
+        onComplete: () => endBreak(),
+        onSkip: () => endBreak(),
+        onError: (error) => endBreak(error || new VastError(VAST_ERROR.UNDEFINED, 'Ad break failed'))
+      });
+      this.player.relay = this;
+      this.player.load().catch(() => {}); // failures end the break through onError
+    }
+
+    /**
+     * Put the content back where it was and carry on (post-rolls end it)
+     */
+    resumeContent() {
+      this.restoreContent();
+
+      if (this.contentEnded) {
+        this.completeContent();
+        return;
+      }
+
+      if (Math.abs(this.video.currentTime - this.resumeTime) > 0.5) {
+        this.video.currentTime = this.resumeTime;
+      }
+      this.lastTime = this.resumeTime;
+      this.video.play().catch(() => {});
+    }
+
+    completeContent() {
+      this.emit('contentComplete');
+      if (this.options.onContentComplete) this.options.onContentComplete();
+    }
+
+    restoreContent() {
+      this.currentBreak = null;
+      if (this.adContainer) {
+        this.adContainer.remove();
+        this.adContainer = null;
+      }
+      this.video.style.display = this.videoDisplay || '';
+    }
+
+    fireBreakTracking(adBreak, event, macros = {}) {
+      (adBreak.trackingEvents[event] || []).forEach(trackingUrl => {
+        const img = new Image();
+        img.src = Object.entries({ CACHEBUSTING: Date.now(), ...macros })
+          .reduce((url, [name, value]) => url.split(`[${name}]`).join(encodeURIComponent(value)), trackingUrl);
+      });
+    }
+
+    destroy() {
+      Object.entries(this.listeners).forEach(([event, listener]) => {
+        this.video.removeEventListener(event, listener);
+      });
+      if (this.player) {
+        this.player.destroy();
+        this.player = null;
+      }
+      this.queue = [];
+      this.restoreContent();
+      this.emit('destroyed');
+    }
+  }
+
+  // ============================================================
+  // INTERACTIVE PAUSE AD
+  // ============================================================
+
+  /**
+   * BuzzerPauseAd - shows a display (zone iframe) or native creative over
+   * a publisher's content <video> once the viewer has paused it for a
+   * while. Pauses caused by scrubbing, buffering, the video ending, the
+   * tab going to the background or an ad break are ignored.
+   *
+   * Emits show and close around the overlay, plus request, loaded,
+   * impression and click (a native creative's own events included).
+   */
+  class BuzzerPauseAd extends BuzzerEmitter {
+    constructor(video, options = {}) {
+      super('pause');
+      options = { ...configDefaults('pause'), ...options };
+      this.video = typeof video === 'string'
+        ? document.querySelector(video)
+        : video;
+
+      this.options = {
+        zoneId: options.zoneId || 2, // display zone, 300x250 by default
+        native: options.native || null, // native template name - needs buzzer-advanced.js
+        delay: options.delay || 1500, // ms the video must stay paused
+        width: options.width || 300,
+        height: options.height || 250,
+        onImpression: options.onImpression || null,
+        onClick: options.onClick || null,
+        onDismiss: options.onDismiss || null,
+        ...options
+      };
+
+      this.overlay = null;
+      this.frame = null;
+      this.nativeAd = null; // native creative while it loads and is on screen
+      this.timer = null;
+      this.clicked = false;
+      this.listeners = {
+        pause: () => this.onPause(),
+        play: () => this.cancel(true),
+        seeking: () => this.cancel(true),
+        waiting: () => this.cancel(false),
+        emptied: () => this.cancel(true),
+        ended: () => this.cancel(true)
+      };
+      this.onWindowBlur = () => this.detectFrameClick();
+    }
+
+    init() {
+      Object.entries(this.listeners).forEach(([event, listener]) => {
+        this.video.addEventListener(event, listener);
+      });
+    }
+
+    onPause() {
+      clearTimeout(this.timer);
+      if (this.overlay || this.nativeAd) return;
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        if (this.isViewerPause()) this.show();
+      }, this.options.delay);
+    }
+
+    /**
+     * Still paused by the viewer, with the video on screen and usable
+     */
+    isViewerPause() {
+      const video = this.video;
+      return video.paused &&
+        !video.seeking &&
+        !video.ended &&
+        video.readyState >= 2 && // HAVE_CURRENT_DATA
+        document.visibilityState === 'visible' &&
+        video.offsetWidth > 0 &&
+        video.offsetHeight > 0;
+    }
+
+    /**
+     * Playback resumed or scrubbing started (dismiss), or buffering
+     * started (just stop waiting - the ad never appears mid-buffer)
+     */
+    cancel(dismiss) {
+      clearTimeout(this.timer);
+      this.timer = null;
+      if (dismiss) this.dismiss();
+    }
+
+    /**
+     * A native creative is fetched first and only opens the overlay once
+     * it has an ad; the display zone opens it straight away
+     */
+    show() {
+      const NativeAd = window.BuzzerAds && window.BuzzerAds.NativeAd;
+
+      if (this.options.native && NativeAd) {
+        this.showNative(NativeAd);
+        return;
+      }
+
+      if (this.options.native) {
+        console.error('Native pause ads need buzzer-advanced.js - using the display zone');
+      }
+      this.open(this.createFrame());
+    }
+
+    showNative(NativeAd) {
+      const slot = document.createElement('div');
+      slot.style.cssText = `width:${this.options.width}px;max-width:100%;`;
+      const nativeAd = new NativeAd(slot, {
+        template: this.options.native,
+        onImpression: (ad) => this.trackImpression(ad),
+        onClick: (ad) => this.trackClick(ad)
+      });
+      nativeAd.relay = this;
+      this.nativeAd = nativeAd;
+
+      // 'loaded' fires before the ad renders, so it renders on screen
+      nativeAd.once('loaded', () => {
+        if (this.nativeAd === nativeAd && this.isViewerPause()) this.open(slot);
+      });
+      nativeAd.load()
+        .catch(() => {}) // no fill or error - logged by NativeAd
+        .then(() => {
+          // No ad, or the viewer moved on while it loaded
+          if (this.nativeAd === nativeAd && this.overlay) return;
+          nativeAd.destroy();
+          if (this.nativeAd === nativeAd) this.nativeAd = null;
+        });
+    }
+
+    open(creative) {
+      const parent = this.video.parentNode;
+      if (getComputedStyle(parent).position === 'static') {
+        parent.style.position = 'relative';
+      }
+
+      this.overlay = document.createElement('div');
+      this.overlay.className = 'buzzer-pause-ad';
+      this.overlay.style.cssText = `
+        position: absolute;
+        left: ${this.video.offsetLeft}px;
+        top: ${this.video.offsetTop}px;
+        width: ${this.video.offsetWidth}px;
+        height: ${this.video.offsetHeight}px;
+        background: rgba(0,0,0,0.6);
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        z-index: 10;
+      `;
+      // Clicking the dimmed video resumes it, like clicking the video would
+      this.overlay.addEventListener('click', (e) => {
+        if (e.target === this.overlay) this.video.play().catch(() => {});
+      });
+
+      const card = document.createElement('div');
+      card.style.cssText = `
+        position: relative;
+        max-width: 90%;
+        max-height: 90%;
+        background: #fff;
+        border-radius: 8px;
+        overflow: hidden;
+      `;
+
+      const label = document.createElement('div');
+      label.textContent = 'Ad • Paused';
+      label.style.cssText = 'position:absolute;top:6px;left:6px;background:rgba(0,0,0,0.7);color:#fff;padding:2px 6px;font-size:11px;border-radius:4px;z-index:1;';
+
+      const closeButton = document.createElement('button');
+      closeButton.type = 'button';
+      closeButton.innerHTML = '×';
+      closeButton.setAttribute('aria-label', 'Close ad');
+      closeButton.style.cssText = 'position:absolute;top:4px;right:4px;width:28px;height:28px;border-radius:50%;border:none;background:rgba(0,0,0,0.7);color:#fff;font-size:18px;cursor:pointer;z-index:1;line-height:1;';
+      closeButton.addEventListener('click', () => this.dismiss());
+
+      card.appendChild(creative);
+      card.appendChild(label);
+      card.appendChild(closeButton);
+      this.overlay.appendChild(card);
+      parent.appendChild(this.overlay);
+      this.emit('show');
+    }
+
+    createFrame() {
+      const zoneId = this.options.zoneId;
+      const iframe = document.createElement('iframe');
+      iframe.src = apiUrl(`/ads/serve/${this.options.zoneId}`, { cb: Date.now() });
+      iframe.width = String(this.options.width);
+      iframe.height = String(this.options.height);
+      iframe.style.cssText = 'border:none;display:block;max-width:100%;';
+      iframe.setAttribute('scrolling', 'no');
+      iframe.addEventListener('load', () => {
+        this.frame = iframe;
+        window.addEventListener('blur', this.onWindowBlur);
+        this.emit('loaded', { zoneId });
+        this.trackImpression();
+      }, { once: true });
+      this.emit('request', { zoneId });
+      return iframe;
+    }
+
+    /**
+     * Clicks inside the cross-origin creative iframe surface as the page
+     * losing focus to that iframe
+     */
+    detectFrameClick() {
+      setTimeout(() => {
+        if (this.frame && document.activeElement === this.frame && !this.clicked) {
+          this.trackClick();
+        }
+      }, 0);
+    }
+
+    trackImpression(ad = null) {
+      if (!ad) {
+        // Native ads log their own impression pixel and event
+        const img = new Image();
+        img.src = apiUrl('/ads/log', { type: 'pause', zone: this.options.zoneId, cb: Date.now() });
+        this.emit('impression', { zoneId: this.options.zoneId });
+      }
+
+      if (this.options.onImpression) this.options.onImpression(ad);
+    }
+
+    trackClick(ad = null) {
+      this.clicked = true;
+      if (!ad) {
+        const img = new Image();
+        img.src = apiUrl('/ads/click', { type: 'pause', zone: this.options.zoneId, cb: Date.now() });
+        this.emit('click', { zoneId: this.options.zoneId });
+      }
+
+      if (this.options.onClick) this.options.onClick(ad);
+    }
+
+    dropNative() {
+      if (!this.nativeAd) return;
+      this.nativeAd.destroy();
+      this.nativeAd = null;
+    }
+
+    dismiss() {
+      this.dropNative();
+      if (!this.overlay) return;
+
+      window.removeEventListener('blur', this.onWindowBlur);
+      this.overlay.remove();
+      this.overlay = null;
+      this.frame = null;
+      this.clicked = false;
+      this.emit('close');
+      if (this.options.onDismiss) this.options.onDismiss();
+    }
+
+    destroy() {
+      clearTimeout(this.timer);
+      Object.entries(this.listeners).forEach(([event, listener]) => {
+        this.video.removeEventListener(event, listener);
+      });
+      this.dismiss();
+      this.emit('destroyed');
+    }
   }
 
   // ============================================================
@@ -556,9 +4798,14 @@
 
   window.BuzzerAds = window.BuzzerAds || {};
   window.BuzzerAds.VideoPlayer = BuzzerVideoPlayer;
+  window.BuzzerAds.VastError = VastError;
+  window.BuzzerAds.VAST_ERROR = VAST_ERROR;
+  window.BuzzerAds.SimidSession = SimidSession;
   window.BuzzerAds.Interstitial = BuzzerInterstitial;
   window.BuzzerAds.RewardedAd = BuzzerRewardedAd;
   window.BuzzerAds.Outstream = BuzzerOutstream;
+  window.BuzzerAds.ContentPlayer = BuzzerContentPlayer;
+  window.BuzzerAds.PauseAd = BuzzerPauseAd;
 
   // Add CSS animation
   const style = document.createElement('style');
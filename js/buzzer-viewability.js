@@ -0,0 +1,168 @@
+/**
+ * Buzzer Network Viewability
+ * MRC viewable-impression measurement shared by the display, native and
+ * video formats. Load before buzzer-video.js / buzzer-advanced.js to
+ * enable it.
+ */
+(function() {
+  'use strict';
+
+  /**
+   * MRC viewability guidelines: share of the ad's pixels in view and for
+   * how long (continuously) before the impression counts as viewable
+   */
+  const MRC_STANDARDS = {
+    display: { ratio: 0.5, duration: 1000 },
+    native: { ratio: 0.5, duration: 1000 },
+    video: { ratio: 0.5, duration: 2000 }, // seconds of playback, not just on screen
+    large: { ratio: 0.3, duration: 1000 } // display ads of LARGE_AD_AREA and up
+  };
+
+  const LARGE_AD_AREA = 242500; // px² - 970x250 and bigger
+
+  const THRESHOLDS = [0, 0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9, 1];
+
+  /**
+   * BuzzerViewabilityTracker - watches one ad element with
+   * IntersectionObserver and page visibility and reports:
+   * - measured:     the ad can be measured (once, with the standard applied)
+   * - viewable:     the MRC threshold was met (once)
+   * - timeInView:   total and longest continuous ms in view, when finished
+   * - unmeasurable: viewability couldn't be measured
+   */
+  class BuzzerViewabilityTracker {
+    constructor(options = {}) {
+      this.options = {
+        element: options.element, // the ad's on-page element
+        mediaType: options.mediaType || 'display', // display, native or video
+        video: options.video || null, // video ads: only playing time counts
+        onEvent: options.onEvent || null, // (type, data) => void
+        ...options
+      };
+
+      this.standard = null;
+      this.ratio = 0;
+      this.viewStart = null; // start of the current in-view stretch
+      this.timeInView = 0;
+      this.maxContinuous = 0;
+      this.viewable = false;
+      this.timer = null;
+      this.observer = null;
+      this.finished = false;
+      this.onChange = () => this.update();
+      this.onPageHide = () => this.finish();
+    }
+
+    start() {
+      if (typeof IntersectionObserver === 'undefined' || !this.options.element) {
+        this.finish();
+        return;
+      }
+
+      this.observer = new IntersectionObserver(entries => {
+        const entry = entries[entries.length - 1];
+        this.ratio = entry.isIntersecting ? entry.intersectionRatio : 0;
+        if (!this.standard) {
+          this.standard = this.pickStandard(entry.boundingClientRect);
+          this.emit('measured', { mediaType: this.options.mediaType, ...this.standard });
+        }
+        this.update();
+      }, { threshold: THRESHOLDS });
+      this.observer.observe(this.options.element);
+
+      document.addEventListener('visibilitychange', this.onChange);
+      window.addEventListener('pagehide', this.onPageHide);
+      const video = this.options.video;
+      if (video) {
+        ['play', 'playing', 'pause', 'ended', 'waiting'].forEach(event => video.addEventListener(event, this.onChange));
+      }
+    }
+
+    pickStandard(rect) {
+      const large = this.options.mediaType !== 'video' && rect.width * rect.height >= LARGE_AD_AREA;
+      return large ? MRC_STANDARDS.large : (MRC_STANDARDS[this.options.mediaType] || MRC_STANDARDS.display);
+    }
+
+    isPlaying() {
+      const video = this.options.video;
+      return !video || (!video.paused && !video.ended && video.readyState >= 3); // HAVE_FUTURE_DATA
+    }
+
+    /**
+     * Start or end an in-view stretch; a stretch that lasts the standard's
+     * duration makes the impression viewable
+     */
+    update() {
+      if (this.finished || !this.standard) return;
+
+      const inView = this.ratio >= this.standard.ratio &&
+        document.visibilityState === 'visible' &&
+        this.isPlaying();
+
+      if (inView && this.viewStart === null) {
+        this.viewStart = Date.now();
+        if (!this.viewable) {
+          this.timer = setTimeout(() => this.markViewable(), this.standard.duration);
+        }
+      } else if (!inView && this.viewStart !== null) {
+        this.endStretch();
+      }
+    }
+
+    endStretch() {
+      clearTimeout(this.timer);
+      const stretch = Date.now() - this.viewStart;
+      this.timeInView += stretch;
+      this.maxContinuous = Math.max(this.maxContinuous, stretch);
+      this.viewStart = null;
+    }
+
+    markViewable() {
+      if (this.viewable || this.finished) return;
+      this.viewable = true;
+      this.emit('viewable', { mediaType: this.options.mediaType, ...this.standard });
+    }
+
+    emit(type, data = {}) {
+      if (this.options.onEvent) this.options.onEvent(type, data);
+    }
+
+    /**
+     * Stop measuring and report time in view (or that it was never
+     * measurable)
+     */
+    finish() {
+      if (this.finished) return;
+
+      if (this.viewStart !== null) this.endStretch();
+      if (this.standard) {
+        this.emit('timeInView', {
+          timeInView: this.timeInView,
+          maxContinuous: this.maxContinuous,
+          viewable: this.viewable
+        });
+      } else {
+        this.emit('unmeasurable');
+      }
+      this.finished = true;
+
+      clearTimeout(this.timer);
+      if (this.observer) this.observer.disconnect();
+      document.removeEventListener('visibilitychange', this.onChange);
+      window.removeEventListener('pagehide', this.onPageHide);
+      const video = this.options.video;
+      if (video) {
+        ['play', 'playing', 'pause', 'ended', 'waiting'].forEach(event => video.removeEventListener(event, this.onChange));
+      }
+    }
+  }
+
+  // ============================================================
+  // EXPOSE TO GLOBAL
+  // ============================================================
+
+  window.BuzzerAds = window.BuzzerAds || {};
+  window.BuzzerAds.ViewabilityTracker = BuzzerViewabilityTracker;
+  window.BuzzerAds.MRC_STANDARDS = MRC_STANDARDS;
+
+})();
@@ -0,0 +1,46 @@
+#!/bin/sh
+# Builds the segments of the local HLS sample (master.m3u8) with ffmpeg:
+# two fMP4 renditions, 360p and 720p, of 8 four-second segments each.
+#
+#   samples/hls/generate.sh              # synthetic test pattern and tone
+#   samples/hls/generate.sh input.mp4    # first 32 seconds of a video
+#
+# Output always lands next to this script, whatever the working directory.
+set -e
+
+cd "$(dirname "$0")"
+FFMPEG=${FFMPEG:-ffmpeg}
+
+if [ -n "$1" ]; then
+  case "$1" in
+    /*) input=$1 ;;
+    *) input=$OLDPWD/$1 ;;
+  esac
+  set -- -t 32 -i "$input"
+  audio=0:a
+else
+  set -- -f lavfi -i testsrc=size=1280x720:rate=15:duration=32 \
+    -f lavfi -i sine=frequency=440:sample_rate=48000:duration=32
+  audio=1:a
+fi
+
+# One ffmpeg run per rendition:
+#   rendition <name> <size> <level> <maxrate> <bufsize> <ffmpeg input args...>
+# A high CRF keeps the checked-in segments small. BANDWIDTH in master.m3u8
+# is the -maxrate ceiling plus the audio bitrate.
+rendition() {
+  name=$1 size=$2 level=$3 maxrate=$4 bufsize=$5
+  shift 5
+  mkdir -p "$name"
+  "$FFMPEG" -y -loglevel error "$@" \
+    -map 0:v -map "$audio" \
+    -c:v libx264 -profile:v high -level "$level" -pix_fmt yuv420p -s "$size" \
+    -crf 32 -maxrate "$maxrate" -bufsize "$bufsize" -g 60 -keyint_min 60 -sc_threshold 0 \
+    -c:a aac -b:a 32k -ac 1 \
+    -f hls -hls_time 4 -hls_playlist_type vod -hls_segment_type fmp4 \
+    -hls_fmp4_init_filename init.mp4 -hls_segment_filename "$name/seg_%d.m4s" \
+    "$name/index.m3u8"
+}
+
+rendition 360p 640x360 3.0 800k 1600k "$@"
+rendition 720p 1280x720 3.1 2500k 5000k "$@"
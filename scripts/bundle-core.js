@@ -0,0 +1,52 @@
+'use strict';
+
+/**
+ * Copies js/buzzer-core.js into every script that bundles it, between
+ * the BEGIN / END markers, so each of them works on its own.
+ *
+ *   npm run bundle                update the copies
+ *   npm run bundle -- --check     exit 1 if a copy is out of date
+ */
+const fs = require('node:fs');
+const path = require('node:path');
+
+const ROOT = path.join(__dirname, '..');
+const CORE = 'js/buzzer-core.js';
+const BUNDLES = ['js/buzzer-video.js', 'js/buzzer-advanced.js'];
+
+const BEGIN = '// BEGIN buzzer-core.js - copied by scripts/bundle-core.js, edit js/buzzer-core.js instead\n';
+const END = '// END buzzer-core.js\n';
+
+function read(file) {
+  return fs.readFileSync(path.join(ROOT, file), 'utf8');
+}
+
+/**
+ * The bundle's source with its core copy replaced by the current core
+ */
+function bundle(file) {
+  const source = read(file);
+  const start = source.indexOf(BEGIN);
+  const end = source.indexOf(END, start);
+  if (start === -1 || end === -1) {
+    throw new Error(`${file} has no ${CORE} markers`);
+  }
+  return source.slice(0, start + BEGIN.length) + read(CORE) + source.slice(end);
+}
+
+if (require.main === module) {
+  const check = process.argv.includes('--check');
+  const stale = BUNDLES.filter(file => bundle(file) !== read(file));
+
+  if (check) {
+    stale.forEach(file => console.error(`${file} is out of date - run npm run bundle`));
+    process.exitCode = stale.length ? 1 : 0;
+  } else {
+    stale.forEach(file => {
+      fs.writeFileSync(path.join(ROOT, file), bundle(file));
+      console.log(`Updated ${file}`);
+    });
+  }
+}
+
+module.exports = { BUNDLES, bundle, read };
@@ -0,0 +1,68 @@
+'use strict';
+
+/**
+ * buzzer-video.js and buzzer-advanced.js each carry a copy of
+ * buzzer-core.js, so publisher pages that embed only one of them keep
+ * working. Both must carry the current core, and share one on a page.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+const { BUNDLES, bundle, read } = require('../scripts/bundle-core');
+
+// Each script runs as a <script> with its data-* attributes, so
+// document.currentScript configures it the way a publisher's tag would
+function createPage(scripts) {
+  const dom = new JSDOM('<!DOCTYPE html><head></head><body></body>', {
+    url: 'https://publisher.example/article',
+    runScripts: 'dangerously'
+  });
+  const { document } = dom.window;
+  scripts.forEach(({ file, data = {} }) => {
+    const script = document.createElement('script');
+    Object.assign(script.dataset, data);
+    script.textContent = read(file);
+    document.head.appendChild(script);
+  });
+  return dom.window;
+}
+
+test('every bundle carries the current buzzer-core.js', () => {
+  BUNDLES.forEach(file => assert.equal(read(file), bundle(file), `${file} is out of date - run npm run bundle`));
+});
+
+test('each script works without buzzer-core.js on the page', () => {
+  [
+    ['js/buzzer-video.js', ['VideoPlayer', 'Interstitial', 'RewardedAd', 'Outstream']],
+    ['js/buzzer-advanced.js', ['ResponsiveAd', 'NativeAd', 'AIAssembly']]
+  ].forEach(([file, classes]) => {
+    const window = createPage([{ file, data: { publisherId: 'pub-1', environment: 'staging' } }]);
+    const { BuzzerAds } = window;
+
+    classes.forEach(name => assert.equal(typeof BuzzerAds[name], 'function', `${file}: ${name}`));
+    assert.equal(BuzzerAds.config.publisherId, 'pub-1', file);
+    assert.match(BuzzerAds.apiUrl('/ads/log'), /\/ads\/log\?pub=pub-1&env=staging$/, file);
+    window.close();
+  });
+});
+
+test('scripts on one page share a single config and event bus', () => {
+  const window = createPage([
+    { file: 'js/buzzer-core.js', data: { apiBase: 'https://ads.example' } },
+    { file: 'js/buzzer-video.js', data: { publisherId: 'pub-1' } },
+    { file: 'js/buzzer-advanced.js', data: { environment: 'staging' } }
+  ]);
+  const { BuzzerAds } = window;
+
+  assert.deepEqual(
+    { ...BuzzerAds.config, defaults: { ...BuzzerAds.config.defaults } },
+    { apiBase: 'https://ads.example', publisherId: 'pub-1', environment: 'staging', defaults: {} }
+  );
+
+  const seen = [];
+  BuzzerAds.on('*', event => seen.push(`${event.adType}:${event.type}`));
+  new BuzzerAds.VideoPlayer(window.document.body).emit('request');
+  new BuzzerAds.NativeAd(window.document.body).emit('request');
+  assert.deepEqual(seen, ['video:request', 'native:request']);
+  window.close();
+});
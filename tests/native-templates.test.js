@@ -0,0 +1,269 @@
+'use strict';
+
+/**
+ * NATIVE_TEMPLATES render untrusted ad server data into innerHTML. These
+ * tests load buzzer-advanced.js into a bare window and
+ * check the markup each template produces:
+ * - benign ads render as the original templates did (fixtures/native-templates),
+ *   plus the deliberate rel and image size attributes
+ * - hostile text, URLs, styles and image sizes never change the markup's
+ *   tags and attributes, only the escaped text inside them
+ */
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const ROOT = path.join(__dirname, '..');
+const FIXTURES = path.join(__dirname, 'fixtures', 'native-templates');
+
+function loadBuzzerAds() {
+  const context = vm.createContext({
+    console,
+    URL,
+    location: { href: 'https://publisher.example/article' },
+    document: {
+      currentScript: null,
+      readyState: 'complete',
+      querySelectorAll: () => []
+    }
+  });
+  context.window = context;
+  ['js/buzzer-advanced.js'].forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+  });
+  return context.BuzzerAds;
+}
+
+const { NATIVE_TEMPLATES } = loadBuzzerAds();
+const TEMPLATES = Object.keys(NATIVE_TEMPLATES);
+
+const BENIGN_AD = {
+  title: 'Ten tips for a better night’s sleep',
+  description: 'What sleep researchers wish everyone knew.',
+  sponsor: 'Acme Mattress Co',
+  cta: 'Read More',
+  image: 'https://cdn.example/creatives/sleep.jpg',
+  imageWidth: 300,
+  imageHeight: 200,
+  clickUrl: 'https://adv.example/landing?utm_source=buzzer'
+};
+
+// The dark-mode styles autoInit() passes for data-dark-mode
+const BENIGN_STYLES = { background: '#1a1a1a', titleColor: '#fff', descColor: '#aaa' };
+
+const STYLE_KEYS = [
+  'background', 'borderRadius', 'borderColor', 'sponsorColor', 'titleSize', 'titleColor',
+  'descSize', 'descColor', 'ctaBackground', 'ctaColor', 'accentColor', 'linkColor'
+];
+
+function render(template, ad = {}, styles = {}) {
+  return NATIVE_TEMPLATES[template]({ ...BENIGN_AD, ...ad }, styles);
+}
+
+/**
+ * Every tag with its attribute names, in order. Attribute values are
+ * always double-quoted, so a value can't hide a tag or attribute. Throws
+ * if a raw < or > is left outside the tags.
+ */
+function structure(html) {
+  const tags = [];
+  const text = html.replace(/<(\/?[a-z]+)((?:\s+[a-z-]+="[^"]*")*)\s*>/gi, (match, name, attrs) => {
+    tags.push(`${name}[${(attrs.match(/[a-z-]+(?==")/gi) || []).join(' ')}]`);
+    return '';
+  });
+  assert.doesNotMatch(text, /[<>]/, 'raw < or > outside a tag');
+  return tags;
+}
+
+function attribute(html, name) {
+  return [...html.matchAll(new RegExp(`\\s${name}="([^"]*)"`, 'g'))].map(match => match[1]);
+}
+
+// ============================================================
+// BENIGN ADS
+// ============================================================
+
+// The fixtures are the original, unsanitized templates' output. Sanitizing
+// changes no markup for benign ads beyond these deliberate additions:
+// rel="noopener sponsored" on links and the image's size attributes.
+const IMAGE_SIZES = {
+  'in-feed': 'width="120" height="80"',
+  'recommendation': 'height="160"',
+  'sidebar': 'width="300" height="200"' // BENIGN_AD's imageWidth and imageHeight
+};
+
+function withMarkupChanges(template, html) {
+  const changed = html.replace(/ target="_blank"/g, ' target="_blank" rel="noopener sponsored"');
+  if (!IMAGE_SIZES[template]) return changed;
+  return changed.replace(/(<img src="[^"]*" alt="[^"]*")/, `$1 ${IMAGE_SIZES[template]}`);
+}
+
+test('benign ads render the same markup as the fixtures', () => {
+  assert.deepEqual(TEMPLATES, ['in-feed', 'recommendation', 'sidebar', 'text-link']);
+  TEMPLATES.forEach(template => {
+    const original = fs.readFileSync(path.join(FIXTURES, `${template}.html`), 'utf8');
+    assert.equal(render(template, {}, BENIGN_STYLES), withMarkupChanges(template, original), template);
+  });
+});
+
+test('links open in a new tab with rel="noopener sponsored"', () => {
+  TEMPLATES.forEach(template => {
+    const html = render(template);
+    assert.ok(attribute(html, 'href').length > 0, template);
+    assert.equal(html.match(/<a\s/g).length, attribute(html, 'rel').length, template);
+    attribute(html, 'rel').forEach(rel => assert.equal(rel, 'noopener sponsored', template));
+    attribute(html, 'target').forEach(target => assert.equal(target, '_blank', template));
+  });
+});
+
+// ============================================================
+// URLS
+// ============================================================
+
+const HOSTILE_URLS = [
+  'javascript:alert(1)',
+  ' JavaScript:alert(document.cookie)',
+  'java\tscript:alert(1)',
+  'data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==',
+  'data:image/svg+xml,<svg onload=alert(1)>',
+  'vbscript:msgbox(1)',
+  '//evil.example/landing',
+  '\\\\evil.example/landing',
+  '/\\evil.example/landing',
+  'https:evil.example',
+  '/landing'
+];
+
+test('click URLs that are not absolute http(s) become about:blank', () => {
+  TEMPLATES.forEach(template => {
+    HOSTILE_URLS.forEach(clickUrl => {
+      const html = render(template, { clickUrl });
+      assert.deepEqual(attribute(html, 'href'), ['about:blank'], `${template}: ${clickUrl}`);
+      assert.deepEqual(structure(html), structure(render(template)), `${template}: ${clickUrl}`);
+    });
+  });
+});
+
+test('image URLs that are not absolute http(s) are dropped', () => {
+  TEMPLATES.filter(template => render(template).includes('<img')).forEach(template => {
+    HOSTILE_URLS.forEach(image => {
+      const html = render(template, { image });
+      assert.deepEqual(attribute(html, 'src'), [''], `${template}: ${image}`);
+      assert.deepEqual(structure(html), structure(render(template)), `${template}: ${image}`);
+    });
+  });
+});
+
+test('http and https URLs are kept, with quotes and ampersands escaped', () => {
+  const html = render('sidebar', {
+    clickUrl: 'http://adv.example/?a=1&b="2"',
+    image: ' https://cdn.example/a.jpg?w=300&h=200 '
+  });
+  assert.deepEqual(attribute(html, 'href'), ['http://adv.example/?a=1&amp;b=&quot;2&quot;']);
+  assert.deepEqual(attribute(html, 'src'), ['https://cdn.example/a.jpg?w=300&amp;h=200']);
+});
+
+// ============================================================
+// TEXT
+// ============================================================
+
+const HOSTILE_TEXT = [
+  '"><img src=x onerror=alert(1)>',
+  "' onmouseover='alert(1)",
+  '</a><script>alert(1)</script>',
+  '<!-- ${ad.clickUrl} -->',
+  'Tom & Jerry\'s "best" <deals>'
+];
+
+test('title, sponsor, CTA and description are HTML-escaped', () => {
+  TEMPLATES.forEach(template => {
+    const benign = structure(render(template));
+    HOSTILE_TEXT.forEach(value => {
+      ['title', 'sponsor', 'cta', 'description'].forEach(field => {
+        const html = render(template, { [field]: value });
+        assert.deepEqual(structure(html), benign, `${template} ${field}: ${value}`);
+        assert.doesNotMatch(html, /<script|<img src=x|<!--/, `${template} ${field}: ${value}`);
+      });
+    });
+  });
+});
+
+test('escaped text still reads the same', () => {
+  const html = render('text-link', { title: 'Tom & Jerry\'s "best" <deals>', sponsor: 'A&B' });
+  assert.match(html, /Tom &amp; Jerry&#39;s &quot;best&quot; &lt;deals&gt; – A&amp;B<\/a>/);
+});
+
+test('missing text fields render empty', () => {
+  const html = render('sidebar', { title: null, description: undefined, cta: undefined });
+  assert.deepEqual(structure(html), structure(render('sidebar')));
+  assert.deepEqual(attribute(html, 'alt'), ['']);
+});
+
+// ============================================================
+// STYLES
+// ============================================================
+
+const HOSTILE_STYLES = [
+  'red; background-image: url(https://evil.example/x.png)',
+  'red;} body { display: none',
+  '#fff}',
+  'url(https://evil.example/x.png)',
+  'URL (https://evil.example/x.png)',
+  'image-set(https://evil.example/x.png 1x)',
+  'expression(alert(1))',
+  'EXPRESSION (alert(1))',
+  'red" onmouseover="alert(1)',
+  "red' onmouseover='alert(1)",
+  'red\\3b background: blue',
+  'red</style><script>alert(1)</script>',
+  'rgba(0, 0, 0, 0.5',
+  'red)',
+  { toString: () => 'red' },
+  ['red']
+];
+
+test('unsafe style values fall back to the template default', () => {
+  TEMPLATES.forEach(template => {
+    const unstyled = render(template);
+    STYLE_KEYS.forEach(key => {
+      HOSTILE_STYLES.forEach(value => {
+        assert.equal(render(template, {}, { [key]: value }), unstyled, `${template} ${key}: ${value}`);
+      });
+    });
+  });
+});
+
+test('colours, lengths and CSS functions are kept', () => {
+  [
+    ['background', 'linear-gradient(90deg, #fff 0%, rgba(0, 0, 0, 0.5) 100%)'],
+    ['borderRadius', '0.75rem'],
+    ['titleSize', 'calc(1rem + 2px)'],
+    ['titleColor', 'hsl(240 50% 50% / 80%)'],
+    ['ctaBackground', 'var(--brand-color)']
+  ].forEach(([key, value]) => {
+    assert.ok(render('sidebar', {}, { [key]: value }).includes(value), `${key}: ${value}`);
+  });
+  assert.match(render('in-feed', {}, { titleSize: 18 }), /font-size: 18;/);
+});
+
+// ============================================================
+// IMAGE SIZES
+// ============================================================
+
+test('non-numeric image sizes fall back to the template size', () => {
+  const defaults = attribute(render('sidebar', { imageWidth: null, imageHeight: null }), '(?:width|height)');
+  assert.deepEqual(defaults, ['300', '200']);
+
+  ['abc', '100px', '300" onload="alert(1)', -5, 0, NaN, Infinity, {}, [], true].forEach(size => {
+    const html = render('sidebar', { imageWidth: size, imageHeight: size });
+    assert.deepEqual(attribute(html, '(?:width|height)'), defaults, String(size));
+    assert.deepEqual(structure(html), structure(render('sidebar')), String(size));
+  });
+});
+
+test('numeric image sizes are rounded', () => {
+  const html = render('sidebar', { imageWidth: '640', imageHeight: 359.6 });
+  assert.deepEqual(attribute(html, '(?:width|height)'), ['640', '360']);
+});
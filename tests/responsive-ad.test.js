@@ -0,0 +1,80 @@
+'use strict';
+
+/**
+ * ResponsiveAd in a jsdom page: buzzer-advanced.js runs in the window and
+ * a stub ViewabilityTracker stands in for buzzer-viewability.js.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..');
+
+function createPage({ measurable = true } = {}) {
+  const dom = new JSDOM('<!DOCTYPE html><body><div id="slot"></div></body>', {
+    url: 'https://publisher.example/article',
+    runScripts: 'outside-only'
+  });
+  const { window } = dom;
+  window.eval(fs.readFileSync(path.join(ROOT, 'js/buzzer-advanced.js'), 'utf8'));
+
+  const trackers = [];
+  if (measurable) {
+    window.IntersectionObserver = class {};
+    window.BuzzerAds.ViewabilityTracker = class {
+      constructor(options) {
+        this.options = options;
+        trackers.push(this);
+      }
+      start() {}
+      finish() {}
+    };
+  }
+  return { window, trackers };
+}
+
+function createAd(window) {
+  const ad = new window.BuzzerAds.ResponsiveAd('#slot');
+  const events = [];
+  ad.on('*', event => events.push(event.type));
+  ad.init();
+  return { ad, events };
+}
+
+const loadCreative = (window, ad) => ad.iframe.dispatchEvent(new window.Event('load'));
+
+test('the impression waits for the ad to become viewable', () => {
+  const { window, trackers } = createPage();
+  const { ad, events } = createAd(window);
+
+  loadCreative(window, ad);
+  assert.ok(!events.includes('impression'), 'impression counted on load');
+
+  trackers[0].options.onEvent('viewable', {});
+  assert.deepEqual(events.filter(type => type === 'impression' || type === 'viewable'), ['impression', 'viewable']);
+  ad.destroy();
+});
+
+test('the impression counts on load where viewability is unmeasurable', () => {
+  const { window } = createPage({ measurable: false });
+  const { ad, events } = createAd(window);
+
+  assert.ok(!events.includes('impression'));
+  loadCreative(window, ad);
+  assert.deepEqual(events.filter(type => type === 'impression'), ['impression']);
+  ad.destroy();
+});
+
+test('focus moving into the creative iframe emits one click', async () => {
+  const { window } = createPage();
+  const { ad, events } = createAd(window);
+
+  ad.iframe.focus();
+  window.dispatchEvent(new window.Event('blur'));
+  window.dispatchEvent(new window.Event('blur'));
+  await new Promise(resolve => setTimeout(resolve, 10));
+  assert.deepEqual(events.filter(type => type === 'click'), ['click']);
+  ad.destroy();
+});
@@ -0,0 +1,353 @@
+'use strict';
+
+/**
+ * Video formats in a jsdom page: buzzer-video.js (with its bundled core) runs
+ * in the window, fetch() serves VAST from a route table and media
+ * playback is stubbed.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..');
+
+const VAST = `<?xml version="1.0" encoding="UTF-8"?>
+<VAST version="4.1">
+  <Ad id="a1">
+    <InLine>
+      <AdSystem>Test</AdSystem>
+      <AdTitle>Test ad</AdTitle>
+      <Impression><![CDATA[https://track.example/imp]]></Impression>
+      <Creatives>
+        <Creative>
+          <Linear>
+            <Duration>00:00:15</Duration>
+            <MediaFiles>
+              <MediaFile delivery="progressive" type="video/mp4" width="640" height="360">
+                <![CDATA[https://cdn.example/ad.mp4]]>
+              </MediaFile>
+            </MediaFiles>
+            <VideoClicks>
+              <ClickThrough><![CDATA[https://adv.example/]]></ClickThrough>
+            </VideoClicks>
+          </Linear>
+        </Creative>
+      </Creatives>
+    </InLine>
+  </Ad>
+</VAST>`;
+
+function createPage(routes = {}, files = ['js/buzzer-video.js']) {
+  const dom = new JSDOM('<!DOCTYPE html><body><div id="slot"></div></body>', {
+    url: 'https://publisher.example/article',
+    runScripts: 'outside-only',
+    pretendToBeVisual: true
+  });
+  const { window } = dom;
+
+  window.fetch = async (url) => {
+    if (!(url in routes)) return { ok: false, status: 404, text: async () => '' };
+    return { ok: true, status: 200, text: async () => routes[url] };
+  };
+  window.HTMLMediaElement.prototype.canPlayType = () => 'probably';
+  window.HTMLMediaElement.prototype.play = async function() {};
+  window.HTMLMediaElement.prototype.pause = function() {};
+  window.HTMLMediaElement.prototype.load = function() {};
+
+  files.forEach(file => window.eval(fs.readFileSync(path.join(ROOT, file), 'utf8')));
+  return window;
+}
+
+// ============================================================
+// WRAPPERS
+// ============================================================
+
+const inlineAd = (id, adAttributes = '') => VAST
+  .match(/<Ad id="a1">[\s\S]*<\/Ad>/)[0]
+  .replace('<Ad id="a1">', `<Ad id="${id}"${adAttributes}>`);
+
+const wrapperAd = (id, url, wrapperAttributes = '') => `
+  <Ad id="${id}">
+    <Wrapper${wrapperAttributes}>
+      <AdSystem>Test</AdSystem>
+      <VASTAdTagURI><![CDATA[${url}]]></VASTAdTagURI>
+      <Impression><![CDATA[https://track.example/${id}]]></Impression>
+    </Wrapper>
+  </Ad>`;
+
+const vastOf = (...ads) => `<VAST version="4.1">${ads.join('')}</VAST>`;
+
+const POD_RESPONSE = vastOf(inlineAd('p1', ' sequence="1"'), inlineAd('p2', ' sequence="2"'), inlineAd('s1'));
+
+/**
+ * Preload a player whose tag is a wrapper around next.xml
+ */
+async function preloadWrapper(wrapperAttributes, next, routes = {}) {
+  const window = createPage({
+    'https://ads.example/vast.xml': vastOf(wrapperAd('w', 'https://ads.example/next.xml', wrapperAttributes)),
+    'https://ads.example/next.xml': next,
+    ...routes
+  });
+  const player = new window.BuzzerAds.VideoPlayer('#slot', { vastUrl: 'https://ads.example/vast.xml' });
+  const ready = await player.preload();
+  return { player, ready };
+}
+
+test('a wrapper allows only the first stand-alone ad by default', async () => {
+  const { player, ready } = await preloadWrapper('', POD_RESPONSE);
+
+  assert.equal(ready, true);
+  assert.equal(player.adQueue[0].prepared.vastData.id, 's1');
+  assert.deepEqual([...player.adQueue].map(ad => ad.id), ['w']);
+});
+
+test('allowMultipleAds="true" plays the wrapped pod under the wrapper', async () => {
+  const { player, ready } = await preloadWrapper(' allowMultipleAds="true"', POD_RESPONSE);
+
+  assert.equal(ready, true);
+  assert.equal(player.adQueue[0].prepared.vastData.id, 'p1');
+  assert.deepEqual([...player.adQueue].map(ad => ad.id), ['w', 'p2']);
+  assert.deepEqual([...player.adQueue[1].parents.chain].map(ad => ad.id), ['w']);
+  assert.deepEqual([...player.standaloneAds].map(ad => ad.id), ['s1']);
+});
+
+test('followAdditionalWrappers="false" ignores nested wrappers', async () => {
+  const nested = wrapperAd('w2', 'https://ads.example/deeper.xml');
+  const routes = { 'https://ads.example/deeper.xml': vastOf(inlineAd('deep')) };
+
+  const mixed = await preloadWrapper(' followAdditionalWrappers="false"', vastOf(nested, inlineAd('i1')), routes);
+  assert.equal(mixed.ready, true);
+  assert.equal(mixed.player.adQueue[0].prepared.vastData.id, 'i1');
+
+  const onlyWrappers = await preloadWrapper(' followAdditionalWrappers="false"', vastOf(nested), routes);
+  assert.equal(onlyWrappers.ready, false);
+  assert.equal(onlyWrappers.player.lastError.code, 303);
+});
+
+test('the whole wrapper chain shares one vastTimeout deadline', async () => {
+  const routes = {
+    'https://ads.example/vast.xml': vastOf(wrapperAd('w1', 'https://ads.example/w2.xml')),
+    'https://ads.example/w2.xml': vastOf(wrapperAd('w2', 'https://ads.example/inline.xml')),
+    'https://ads.example/inline.xml': VAST
+  };
+  const window = createPage();
+  // Every request fits in vastTimeout, the two wrapper requests together don't
+  window.fetch = (url, { signal } = {}) => new Promise((resolve, reject) => {
+    const timer = setTimeout(() => resolve({ ok: true, status: 200, text: async () => routes[url] }), 60);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(Object.assign(new Error('aborted'), { name: 'AbortError' }));
+    });
+  });
+
+  const player = new window.BuzzerAds.VideoPlayer('#slot', { vastUrl: 'https://ads.example/vast.xml', vastTimeout: 100 });
+  assert.equal(await player.preload(), false);
+  assert.equal(player.lastError.code, 301);
+  assert.match(player.lastError.message, /wrapper chain timed out/);
+});
+
+// ============================================================
+// CONTROL BAR
+// ============================================================
+
+test('outstream players show a mute toggle by default', async () => {
+  const window = createPage({ 'https://ads.example/vast.xml': VAST });
+  const outstream = new window.BuzzerAds.Outstream('#slot', { vastUrl: 'https://ads.example/vast.xml' });
+  await outstream.load();
+
+  const mute = window.document.querySelector('#slot button[aria-label="Unmute"]');
+  assert.ok(mute, 'no mute toggle');
+  assert.equal(outstream.player.videoElement.muted, true);
+
+  mute.click();
+  assert.equal(outstream.player.videoElement.muted, false);
+  outstream.destroy();
+});
+
+test('outstream players hide the control bar with controls: false', async () => {
+  const window = createPage({ 'https://ads.example/vast.xml': VAST });
+  const outstream = new window.BuzzerAds.Outstream('#slot', { vastUrl: 'https://ads.example/vast.xml', controls: false });
+  await outstream.load();
+
+  assert.equal(window.document.querySelector('#slot button[aria-label="Unmute"]'), null);
+  outstream.destroy();
+});
+
+// ============================================================
+// REWARDED
+// ============================================================
+
+const SKIPPABLE_VAST = VAST.replace('<Linear>', '<Linear skipoffset="00:00:05">');
+
+test('rewarded ads ignore the creative skipoffset', async () => {
+  const window = createPage({ 'https://ads.example/vast.xml': SKIPPABLE_VAST });
+  const rewarded = new window.BuzzerAds.RewardedAd({ vastUrl: 'https://ads.example/vast.xml', requireVerification: false });
+  const shown = rewarded.show();
+  shown.catch(() => {});
+  await new Promise(resolve => rewarded.player.once('loaded', resolve));
+
+  const player = rewarded.player;
+  assert.equal(player.vastData.skipOffset, 5);
+  assert.equal(player.isSkippable(), false);
+  assert.equal(player.skipButton, null);
+  assert.equal(player.simidEnvironment().skippableState, 'notSkippable');
+  rewarded.close();
+  assert.equal(await shown, null);
+});
+
+test('a skipped rewarded ad closes the overlay and rejects show()', async () => {
+  const window = createPage({ 'https://ads.example/vast.xml': SKIPPABLE_VAST });
+  const rewarded = new window.BuzzerAds.RewardedAd({ vastUrl: 'https://ads.example/vast.xml', requireVerification: false });
+  let rewards = 0;
+  rewarded.on('reward', () => rewards++);
+  const shown = rewarded.show();
+  await new Promise(resolve => rewarded.player.once('loaded', resolve));
+
+  rewarded.player.skip();
+  await assert.rejects(shown, /skipped/);
+  assert.equal(rewarded.overlay, null);
+  assert.deepEqual([...window.document.body.children].map(el => el.id), ['slot']);
+  assert.equal(rewards, 0);
+});
+
+// ============================================================
+// INTERSTITIAL
+// ============================================================
+
+test('a pageview interstitial torn down before it loads is not shown', async () => {
+  const window = createPage();
+  const interstitial = new window.BuzzerAds.Interstitial({ zoneId: 1, trigger: 'pageview', everyPageviews: 1 });
+  interstitial.init();
+  interstitial.destroy();
+  await new Promise(resolve => setTimeout(resolve, 10));
+
+  assert.equal(interstitial.overlay, null);
+  assert.deepEqual([...window.document.body.children].map(el => el.id), ['slot']);
+  assert.equal(window.localStorage.length, 0, 'show recorded for pacing');
+});
+
+// ============================================================
+// PAUSE AD
+// ============================================================
+
+/**
+ * A content video the viewer has paused, with its PauseAd's events
+ */
+function pausedContent(window, options = {}) {
+  const video = window.document.createElement('video');
+  window.document.getElementById('slot').appendChild(video);
+  Object.defineProperty(video, 'readyState', { value: 4 });
+  Object.defineProperty(video, 'offsetWidth', { value: 640 });
+  Object.defineProperty(video, 'offsetHeight', { value: 360 });
+
+  const pauseAd = new window.BuzzerAds.PauseAd(video, { delay: 1, ...options });
+  const events = [];
+  pauseAd.on('*', event => events.push(event.type));
+  pauseAd.init();
+  video.dispatchEvent(new window.Event('pause'));
+  return { video, pauseAd, events };
+}
+
+const settle = () => new Promise(resolve => setTimeout(resolve, 20));
+
+test('a seek hides the pause ad', async () => {
+  const window = createPage();
+  const { video, pauseAd, events } = pausedContent(window);
+  await settle();
+
+  assert.ok(pauseAd.overlay, 'overlay not shown');
+  assert.equal(pauseAd.overlay.querySelector('button[aria-label="Close ad"]').type, 'button');
+  video.dispatchEvent(new window.Event('seeking'));
+  assert.equal(pauseAd.overlay, null);
+  assert.deepEqual(events, ['request', 'show', 'close']);
+  pauseAd.destroy();
+});
+
+const NATIVE_FILL = {
+  id: 'n1',
+  native: { assets: [{ id: 1, title: { text: 'Sponsored story' } }], link: { url: 'https://adv.example/' } }
+};
+
+function nativePage(response) {
+  const window = createPage({}, ['js/buzzer-video.js', 'js/buzzer-advanced.js']);
+  window.fetch = async () => response
+    ? { ok: true, status: 200, json: async () => response }
+    : { ok: true, status: 204, json: async () => null };
+  return window;
+}
+
+test('a native pause ad with no fill never opens the overlay', async () => {
+  const window = nativePage(null);
+  const { pauseAd, events } = pausedContent(window, { native: 'text-link' });
+  await settle();
+
+  assert.equal(pauseAd.overlay, null);
+  assert.equal(pauseAd.nativeAd, null);
+  assert.equal(window.document.querySelector('.buzzer-pause-ad'), null);
+  assert.deepEqual(events, ['request', 'noFill']);
+  pauseAd.destroy();
+});
+
+test('a native pause ad opens the overlay once it has an ad', async () => {
+  const window = nativePage(NATIVE_FILL);
+  const { pauseAd, events } = pausedContent(window, { native: 'text-link' });
+  await settle();
+
+  assert.ok(pauseAd.overlay, 'overlay not shown');
+  assert.match(pauseAd.overlay.textContent, /Sponsored story/);
+  ['request', 'loaded', 'show'].forEach(type => assert.ok(events.includes(type), type));
+  pauseAd.destroy();
+});
+
+// ============================================================
+// INTERACTIVE CREATIVES
+// ============================================================
+
+function startSession(window, timeout = 60000) {
+  const session = new window.BuzzerAds.SimidSession({ srcdoc: '<p>creative</p>', timeout });
+  const cleared = [];
+  const clearTimeout = window.clearTimeout;
+  window.clearTimeout = (id) => {
+    cleared.push(id);
+    clearTimeout(id);
+  };
+  const ready = session.start(window.document.getElementById('slot'));
+  const fromCreative = (message) => window.dispatchEvent(new window.MessageEvent('message', {
+    source: session.frame.contentWindow,
+    data: JSON.stringify({ messageId: 1, timestamp: Date.now(), args: {}, ...message })
+  }));
+  return { session, ready, cleared, fromCreative };
+}
+
+test('a fatalError before createSession fails the handshake at once', async () => {
+  const window = createPage();
+  const { session, ready, cleared, fromCreative } = startSession(window);
+  const timer = session.timer;
+
+  fromCreative({ sessionId: 'vpaid-abc', type: 'SIMID:Creative:fatalError', args: { errorCode: 901, errorMessage: 'VPAID script failed to load' } });
+  await assert.rejects(ready, /VPAID script failed to load/);
+  assert.ok(cleared.includes(timer), 'handshake timer still running');
+  session.destroy();
+});
+
+test('a rejected init clears the handshake timer', async () => {
+  const window = createPage();
+  const { session, ready, cleared, fromCreative } = startSession(window);
+  const timer = session.timer;
+
+  const init = new Promise(resolve => {
+    session.frame.contentWindow.addEventListener('message', (event) => {
+      const message = JSON.parse(event.data);
+      if (message.type === 'SIMID:Player:init') resolve(message);
+    });
+  });
+  fromCreative({ sessionId: 's1', type: 'createSession' });
+  const { messageId } = await init;
+  fromCreative({ sessionId: 's1', type: 'reject', args: { messageId, value: { message: 'no thanks' } } });
+
+  await assert.rejects(ready, /rejected init: no thanks/);
+  assert.ok(cleared.includes(timer), 'handshake timer still running');
+  session.destroy();
+});